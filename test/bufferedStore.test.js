@@ -0,0 +1,88 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('buffered store', function() {
+    var env = helpers.setup(function(Ext) {
+        var data = [];
+
+        for (var i = 0; i < 200; i++) {
+            data.push({id: i + 1, name: 'N' + i});
+        }
+        return {
+            store: Ext.create('Ext.data.BufferedStore', {
+                fields: ['id', 'name'],
+                pageSize: 50,
+                leadingBufferZone: 50,
+                proxy: {
+                    type: 'memory',
+                    enablePaging: true,
+                    data: data
+                }
+            }),
+            columns: [{text: 'Name', dataIndex: 'name'}]
+        };
+    });
+
+    test.before(async function() {
+        env.grid.getStore().load();
+        await new Promise(function(resolve) {
+            (function wait() {
+                if (env.grid.getStore().getTotalCount()) {
+                    resolve();
+                }
+                else {
+                    setTimeout(wait, 10);
+                }
+            })();
+        });
+    });
+
+    function collect(printer) {
+        return new Promise(function(resolve, reject) {
+            printer.collectRecords(env.grid, resolve, function() {
+                reject(new Error('cancelled'));
+            });
+        });
+    }
+
+    test.it('gathers all records with bufferedRange all and reports the progress', async function() {
+        var printer = helpers.createPrinter(env.Ext, {bufferedRange: 'all', bufferedChunkSize: 80});
+        var progress = [];
+        var records;
+
+        printer.on('bufferedProgress', function(p, loaded, total) {
+            progress.push(loaded + '/' + total);
+        });
+        records = await collect(printer);
+
+        assert.equal(records.length, 200);
+        assert.equal(records[199].get('name'), 'N199');
+        assert.deepEqual(progress, ['80/200', '160/200', '200/200']);
+    });
+
+    test.it('gathers an explicit range', async function() {
+        var printer = helpers.createPrinter(env.Ext, {bufferedRange: {start: 10, end: 19}});
+        var records = await collect(printer);
+
+        assert.deepEqual(Array.from(records, function(rcd) {
+            return rcd.get('name');
+        }), ['N10', 'N11', 'N12', 'N13', 'N14', 'N15', 'N16', 'N17', 'N18', 'N19']);
+    });
+
+    test.it('stops when bufferedProgress returns false', async function() {
+        var printer = helpers.createPrinter(env.Ext, {bufferedRange: 'all', bufferedChunkSize: 50});
+        var cancelled = false;
+
+        printer.on('bufferedProgress', function() {
+            return false;
+        });
+        printer.on('bufferedCancel', function() {
+            cancelled = true;
+        });
+
+        await assert.rejects(collect(printer), /cancelled/);
+        assert.ok(cancelled);
+    });
+});
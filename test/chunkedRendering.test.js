@@ -0,0 +1,97 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('chunkedRendering', function() {
+    var env = helpers.setup(function() {
+        var data = [];
+
+        for (var i = 0; i < 30; i++) {
+            data.push({name: 'N' + i, amount: i});
+        }
+        return {
+            store: {
+                fields: ['name', 'amount'],
+                data: data
+            },
+            columns: [{text: 'Name', dataIndex: 'name'}, {text: 'Amount', dataIndex: 'amount'}]
+        };
+    });
+
+    test.it('renders printouts from 5000 records in slices by default', function() {
+        var printer = helpers.createPrinter(env.Ext);
+
+        assert.equal(printer.isChunked(env.grid.getStore().getRange()), false);
+        assert.equal(printer.isChunked(new Array(5000)), true);
+    });
+
+    test.it('renders the same rows in time slices and reports the progress', async function() {
+        var printer = helpers.createPrinter(env.Ext, {chunkedRendering: 10, chunkTime: 0});
+        var records = env.grid.getStore().getRange();
+        var progress = [];
+        var html;
+
+        printer.on('renderProgress', function(p, g, rendered, total) {
+            progress.push(rendered + '/' + total);
+        });
+        html = await new Promise(function(resolve) {
+            printer.getPrintHtmlChunked(env.grid, records, resolve);
+        });
+
+        assert.equal(progress[progress.length - 1], '30/30');
+        assert.ok(progress.length > 1);
+        assert.deepEqual(helpers.texts(helpers.parse(env.window, html), 'tbody td'),
+            helpers.texts(helpers.print(env, printer, records), 'tbody td'));
+    });
+
+    test.it('returns to the event loop between the group headers and summaries', async function() {
+        var printer = helpers.createPrinter(env.Ext, {chunkedRendering: true, chunkTime: 0, disableCache: false});
+        var rendered = [];
+        var groupedGrid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'country', 'amount'],
+                groupField: 'country',
+                data: [
+                    {name: 'A', country: 'DE', amount: 1},
+                    {name: 'B', country: 'FR', amount: 2},
+                    {name: 'C', country: 'IT', amount: 4}
+                ]
+            },
+            features: [{
+                ftype: 'groupingsummary',
+                groupHeaderTpl: '{name}'
+            }],
+            columns: [{text: 'Name', dataIndex: 'name'}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                summaryType: 'sum',
+                summaryRenderer: function(value) {
+                    rendered.push('summary');
+                    return value;
+                }
+            }]
+        });
+        var records = groupedGrid.getStore().getRange();
+        var renderGroupHeader = printer.renderGroupHeader;
+        var promise, html;
+
+        // the grid rendered its own summaries
+        rendered.length = 0;
+        printer.renderGroupHeader = function() {
+            rendered.push('header');
+            return renderGroupHeader.apply(this, arguments);
+        };
+        promise = new Promise(function(resolve) {
+            printer.getPrintHtmlChunked(groupedGrid, records, resolve);
+        });
+
+        // the first slice rendered the head of the table only
+        assert.deepEqual(rendered, []);
+        html = await promise;
+
+        assert.deepEqual(rendered, ['header', 'summary', 'header', 'summary', 'header', 'summary']);
+        assert.equal(html, printer.getPrintHtml(groupedGrid, records));
+        groupedGrid.destroy();
+    });
+});
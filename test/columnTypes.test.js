@@ -0,0 +1,90 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('column types', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['active', 'done', 'date', 'price', 'paid'],
+            data: [
+                {active: true, done: true, date: new Date(2024, 0, 31), price: 1234.5, paid: true},
+                {active: false, done: false, date: null, price: null, paid: false},
+                {active: null, done: false, date: null, price: null, paid: false}
+            ]
+        },
+        columns: [{
+            xtype: 'booleancolumn',
+            text: 'Active',
+            dataIndex: 'active',
+            trueText: 'Yes',
+            falseText: 'No',
+            undefinedText: 'Unknown'
+        }, {
+            xtype: 'checkcolumn',
+            text: 'Done',
+            dataIndex: 'done'
+        }, {
+            xtype: 'datecolumn',
+            text: 'Date',
+            dataIndex: 'date',
+            format: 'Y-m-d'
+        }, {
+            xtype: 'numbercolumn',
+            text: 'Price',
+            dataIndex: 'price',
+            format: '0,000.00'
+        }, {
+            xtype: 'booleancolumn',
+            text: 'Paid',
+            dataIndex: 'paid'
+        }]
+    });
+
+    function column(doc, idx) {
+        return helpers.texts(doc, 'tbody tr td:nth-child(' + idx + ')');
+    }
+
+    test.it('prints the trueText, falseText and undefinedText of boolean columns', function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var doc = helpers.print(env, printer);
+
+        assert.deepEqual(column(doc, 1), ['Yes', 'No', 'Unknown']);
+    });
+
+    test.it('prints check marks for boolean columns without texts of their own', function() {
+        var printer = helpers.createPrinter(env.Ext, {checkedText: 'x', uncheckedText: 'o'});
+        var doc = helpers.print(env, printer);
+
+        assert.deepEqual(column(doc, 5), ['x', 'o', 'o']);
+        assert.deepEqual(column(doc, 1), ['Yes', 'No', 'Unknown']);
+    });
+
+    test.it('prints check marks, dates and numbers with the format of the column', function() {
+        var printer = helpers.createPrinter(env.Ext, {checkedText: 'x', uncheckedText: 'o'});
+        var doc = helpers.print(env, printer);
+
+        assert.deepEqual(column(doc, 2), ['x', 'o', 'o']);
+        assert.equal(column(doc, 3)[0], '2024-01-31');
+        assert.equal(column(doc, 4)[0], '1,234.50');
+    });
+
+    test.it('prints the cells of registered column handlers', function() {
+        var Printer = env.Ext.ux.grid.Printer;
+        var printer = helpers.createPrinter(env.Ext);
+        var handlers = env.Ext.apply({}, Printer.columnHandlers);
+        var doc;
+
+        Printer.registerColumnHandler('numbercolumn', function(value) {
+            return value === null ? '-' : 'USD ' + value;
+        });
+        try {
+            doc = helpers.print(env, printer);
+        }
+        finally {
+            Printer.columnHandlers = handlers;
+        }
+
+        assert.deepEqual(column(doc, 4), ['USD 1234.5', '-', '-']);
+    });
+});
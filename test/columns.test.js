@@ -0,0 +1,51 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('column configs', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'price', 'code', 'secret'],
+            data: [{name: 'A', price: 1.5, code: 'x1', secret: 's'}]
+        },
+        columns: [{
+            text: 'Name',
+            dataIndex: 'name',
+            renderer: function(value) {
+                return '<img src="' + value + '.png">';
+            },
+            printRenderer: function(value) {
+                return 'Name ' + value;
+            }
+        }, {
+            text: 'Price',
+            dataIndex: 'price',
+            printText: 'Price (USD)',
+            printRenderer: 'usMoney',
+            printWidth: 120
+        }, {
+            text: 'Code',
+            dataIndex: 'code',
+            hidden: true,
+            printOnly: true
+        }, {
+            text: 'Secret',
+            dataIndex: 'secret',
+            printable: false
+        }]
+    });
+
+    test.it('prints the printText, printOnly columns and skips columns which are not printable', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext));
+
+        assert.deepEqual(helpers.texts(doc, 'thead th'), ['Name', 'Price (USD)', 'Code']);
+        assert.deepEqual(helpers.texts(doc, 'tbody td'), ['Name A', '$1.50', 'x1']);
+    });
+
+    test.it('prints the printWidth of the column', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext, {columnWidths: true}));
+
+        assert.match(doc.querySelectorAll('col')[1].getAttribute('style'), /120px/);
+    });
+});
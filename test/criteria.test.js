@@ -0,0 +1,56 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('criteria', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'amount'],
+            data: [{name: 'Alpha', amount: 2}, {name: 'Beta', amount: 2}, {name: 'Alpine', amount: 3}],
+            sorters: [{property: 'name', direction: 'DESC'}]
+        },
+        columns: [{text: 'Name', dataIndex: 'name'}, {text: 'Amount', dataIndex: 'amount'}]
+    });
+
+    function printText(printer) {
+        var doc = helpers.print(env, printer);
+
+        return doc.body.textContent.replace(/\s+/g, ' ');
+    }
+
+    test.it('prints the filters with the column texts and operators', function() {
+        var printer = helpers.createPrinter(env.Ext, {showCriteria: true});
+
+        env.grid.getStore().filter([{property: 'amount', operator: '<', value: 3}]);
+        try {
+            assert.match(printText(printer), /Amount < 3/);
+        }
+        finally {
+            env.grid.getStore().clearFilter();
+        }
+    });
+
+    test.it('prints the default operator of filters without operator', function() {
+        var printer = helpers.createPrinter(env.Ext, {showCriteria: true});
+        var text;
+
+        env.grid.getStore().filter([{property: 'name', value: 'Al'}, {property: 'amount', value: 2}]);
+        try {
+            text = printText(printer);
+        }
+        finally {
+            env.grid.getStore().clearFilter();
+        }
+
+        assert.match(text, /Name contains Al/);
+        assert.match(text, /Amount = 2/);
+    });
+
+    test.it('prints the sorters with their direction', function() {
+        var printer = helpers.createPrinter(env.Ext, {showCriteria: true});
+
+        assert.match(printText(printer), /Name/);
+        assert.match(printText(printer), /descending/i);
+    });
+});
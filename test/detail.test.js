@@ -0,0 +1,66 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('detail', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'orders'],
+            data: [
+                {name: 'A', orders: [{number: 'A-1'}, {number: 'A-2'}]},
+                {name: 'B', orders: []},
+                {name: 'C', orders: [{number: 'C-1'}]}
+            ]
+        },
+        columns: [{text: 'Name', dataIndex: 'name'}]
+    });
+
+    test.it('prints the nested records below their record', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            detail: {
+                association: function(rcd) {
+                    return rcd.get('orders');
+                },
+                columns: [{text: 'Order', dataIndex: 'number'}]
+            }
+        });
+
+        assert.deepEqual(helpers.texts(helpers.print(env, printer), 'tr.x-ux-grid-printer-detail tbody td'), ['A-1', 'A-2', 'C-1']);
+    });
+
+    test.it('creates one child grid per print and destroys it', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            detail: {
+                association: function(rcd) {
+                    return rcd.get('orders');
+                },
+                columns: [{text: 'Order', dataIndex: 'number'}]
+            }
+        });
+        var gridCount = env.Ext.ComponentQuery.query('gridpanel').length;
+        var childGrids = [];
+
+        printer.getDetailGrid = env.Ext.Function.createSequence(printer.getDetailGrid, function() {
+            env.Ext.Array.include(childGrids, printer.detailGrids[0].grid);
+        });
+        helpers.print(env, printer);
+
+        assert.equal(childGrids.length, 1);
+        assert.ok(childGrids[0].destroyed);
+        assert.equal(env.Ext.ComponentQuery.query('gridpanel').length, gridCount);
+    });
+
+    test.it('prints no nested table for records without the association', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            detail: {
+                association: 'orders',
+                columns: [{text: 'Order', dataIndex: 'number'}]
+            }
+        });
+        var doc = helpers.print(env, printer);
+
+        assert.equal(doc.querySelectorAll('tr.x-ux-grid-printer-detail').length, 0);
+        assert.deepEqual(helpers.texts(doc, 'tbody td'), ['A', 'B', 'C']);
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('showDialog', function() {
+    var env = helpers.setup(helpers.namesGrid());
+
+    test.it('uses the options of the dialog for this print only', async function() {
+        var printer = helpers.createPrinter(env.Ext, {showDialog: true, mainTitle: 'Companies'});
+        var printed, dialog;
+
+        printer.on('beforePrint', function(html) {
+            printed = helpers.parse(env.window, html);
+            return false;
+        });
+
+        var promise = printer.print(env.grid);
+
+        dialog = env.Ext.ComponentQuery.query('gridprinterdialog')[0];
+        dialog.down('textfield').setValue('Chosen');
+        dialog.onPrintClick();
+
+        await assert.rejects(promise);
+        assert.match(printed.body.textContent, /Chosen/);
+        assert.equal(printer.getMainTitle(), 'Companies');
+    });
+
+    test.it('keeps the options of a pending print out of the printer and its other prints', async function() {
+        var printer = helpers.createPrinter(env.Ext, {showDialog: true, mainTitle: 'Companies', useBlobUrl: false});
+        var frame = env.window.document.createElement('iframe');
+        var open = env.window.open;
+        var popup, promise, dialog, html;
+
+        env.window.document.body.appendChild(frame);
+        popup = {
+            closed: false,
+            document: frame.contentDocument,
+            focus: function() {}
+        };
+        env.window.open = function() {
+            return popup;
+        };
+
+        try {
+            promise = printer.print(env.grid);
+            dialog = env.Ext.ComponentQuery.query('gridprinterdialog')[0];
+            dialog.down('textfield').setValue('Chosen');
+            dialog.onPrintClick();
+
+            // the print window is open until the user closes it
+            assert.equal(printer.getMainTitle(), 'Companies');
+            assert.match(frame.contentDocument.body.textContent, /Chosen/);
+
+            printer.setShowDialog(false);
+            printer.on('beforePrint', function(printed) {
+                html = printed;
+                return false;
+            }, null, {single: true});
+            await assert.rejects(printer.print(env.grid));
+            assert.match(html, /Companies/);
+            assert.doesNotMatch(html, /Chosen/);
+
+            popup.closed = true;
+            assert.equal((await promise).status, 'closed');
+        }
+        finally {
+            env.window.open = open;
+        }
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('print document url', function() {
+    var env = helpers.setup(helpers.namesGrid());
+    var open, URL, revoked;
+
+    test.before(function() {
+        open = env.window.open;
+        URL = env.window.URL;
+    });
+
+    test.beforeEach(function() {
+        revoked = [];
+        // jsdom has no Blob URLs
+        URL.createObjectURL = function() {
+            return 'blob:http://localhost/print';
+        };
+        URL.revokeObjectURL = function(url) {
+            revoked.push(url);
+        };
+    });
+
+    test.afterEach(function() {
+        env.window.open = open;
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    // a popup whose document is loading until load() is called
+    function createPopup() {
+        var popup = {
+            closed: false,
+            printed: false,
+            document: {readyState: 'loading', URL: 'about:blank'},
+            focus: function() {},
+            print: function() {
+                popup.printed = true;
+            },
+            load: function(url) {
+                popup.document = {readyState: 'complete', URL: url, body: {firstChild: {}}};
+            }
+        };
+
+        env.window.open = function(url) {
+            popup.url = url;
+            return popup;
+        };
+        return popup;
+    }
+
+    test.it('writes the document with document.write without useBlobUrl', function() {
+        var printer = helpers.createPrinter(env.Ext, {useBlobUrl: false});
+
+        assert.equal(printer.createDocumentUrl('<html></html>'), null);
+    });
+
+    test.it('opens the Blob URL and prints once the document is loaded', async function() {
+        var printer = helpers.createPrinter(env.Ext, {printAutomatically: true});
+        var popup = createPopup();
+        var promise = printer.print(env.grid);
+
+        assert.equal(popup.url, 'blob:http://localhost/print');
+        await new Promise(function(resolve) {
+            setTimeout(resolve, 100);
+        });
+        assert.equal(popup.printed, false);
+
+        popup.load(popup.url);
+        await promise;
+
+        assert.equal(popup.printed, true);
+        assert.deepEqual(revoked, ['blob:http://localhost/print']);
+    });
+
+    test.it('rejects with reason loadfailure and revokes the url when the document does not load', async function() {
+        var printer = helpers.createPrinter(env.Ext, {loadTimeout: 100});
+
+        createPopup();
+        await assert.rejects(printer.print(env.grid), function(error) {
+            return error.reason === 'loadfailure';
+        });
+        assert.deepEqual(revoked, ['blob:http://localhost/print']);
+    });
+});
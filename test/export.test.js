@@ -0,0 +1,148 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('export', function() {
+    var env = helpers.setup(function(Ext) {
+        return {
+            title: 'Prices',
+            store: {
+                fields: ['name', {name: 'price', type: 'number'}, {name: 'date', type: 'date'}],
+                data: [
+                    {name: 'Alcoa, Inc', price: 1.5, date: new Date(2024, 0, 31)},
+                    {name: 'Boeing "Co"', price: 2, date: new Date(2024, 1, 1)}
+                ]
+            },
+            features: [{ftype: 'summary'}],
+            columns: [{
+                text: 'Name',
+                dataIndex: 'name',
+                renderer: function(value) {
+                    return '<b>' + Ext.String.htmlEncode(value) + '</b>';
+                }
+            }, {
+                text: 'Price',
+                dataIndex: 'price',
+                renderer: Ext.util.Format.usMoney,
+                summaryType: 'sum'
+            }, {
+                xtype: 'datecolumn',
+                text: 'Date',
+                dataIndex: 'date',
+                format: 'Y-m-d'
+            }]
+        };
+    });
+
+    function readBlob(blob) {
+        return new Promise(function(resolve) {
+            var reader = new env.window.FileReader();
+
+            reader.onload = function() {
+                resolve(reader.result);
+            };
+            reader.readAsText(blob);
+        });
+    }
+
+    function exportBlob(printer, format) {
+        return new Promise(function(resolve) {
+            printer.on('beforeExport', function(blob) {
+                resolve(blob);
+                return false;
+            });
+            printer['export'](env.grid, format);
+        });
+    }
+
+    test.it('returns the headings, the rows and the summary with typed values and plain text', function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var rows = printer.getExportRows(env.grid, env.grid.getStore().getRange());
+
+        assert.deepEqual(Array.from(rows, function(row) {
+            return row.type;
+        }), ['header', 'data', 'data', 'summary']);
+        assert.equal(rows[1].cells[0].text, 'Alcoa, Inc');
+        assert.equal(rows[1].cells[1].value, 1.5);
+        assert.equal(rows[1].cells[1].text, '$1.50');
+        assert.ok(env.Ext.isDate(rows[1].cells[2].value));
+        assert.equal(rows[1].cells[2].text, '2024-01-31');
+        assert.equal(rows[3].cells[1].value, 3.5);
+    });
+
+    test.it('saves the rows as CSV with quoted fields', async function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var text = await readBlob(await exportBlob(printer, 'csv'));
+
+        assert.deepEqual(text.replace(/^\ufeff/, '').split('\r\n').slice(0, 3), [
+            'Name,Price,Date',
+            '"Alcoa, Inc",$1.50,2024-01-31',
+            '"Boeing ""Co""",$2.00,2024-02-01'
+        ]);
+    });
+
+    test.it('writes numbers and dates as typed cells of the sheet', function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var xml = env.Ext.ux.grid.PrinterExporter.getSheetXml(printer.getExportRows(env.grid, env.grid.getStore().getRange()));
+
+        assert.match(xml, /<c r="B2"><v>1.5<\/v><\/c>/);
+        assert.match(xml, /<c r="C2" s="2"><v>45322<\/v><\/c>/);
+        assert.match(xml, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name<\/t><\/is><\/c>/);
+    });
+
+    test.it('packs the workbook into a xlsx zip archive', async function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var blob = await exportBlob(printer, 'xlsx');
+
+        assert.equal(blob.type, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        assert.match(await readBlob(blob), /^PK/);
+    });
+
+    test.it('prefixes CSV cells which spreadsheets would evaluate as formula', async function() {
+        var formulaGrid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'amount'],
+                data: [{name: '=HYPERLINK("http://example.com")', amount: -12.5}, {name: '@SUM(A1)', amount: 1}]
+            },
+            columns: [{text: 'Name', dataIndex: 'name'}, {text: 'Amount', dataIndex: 'amount'}]
+        });
+        var printer = helpers.createPrinter(env.Ext);
+        var text = await new Promise(function(resolve) {
+            printer.on('beforeExport', function(blob) {
+                resolve(readBlob(blob));
+                return false;
+            });
+            printer['export'](formulaGrid, 'csv');
+        });
+
+        assert.deepEqual(text.replace(/^\ufeff/, '').split('\r\n'), [
+            'Name,Amount',
+            '"\'=HYPERLINK(""http://example.com"")",-12.5',
+            "'@SUM(A1),1"
+        ]);
+        formulaGrid.destroy();
+    });
+
+    test.it('writes the cells as they are without csvEscapeFormulas', async function() {
+        var text = await readBlob(env.Ext.ux.grid.PrinterExporter.toCsv([{cells: [{text: '=1+1'}, {text: '+49 30 1234'}]}], ',', false));
+
+        assert.equal(text.replace(/^\ufeff/, ''), '=1+1,+49 30 1234');
+    });
+
+    test.it('names the sheet after the plain text of the title without forbidden characters', async function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var title = env.grid.title;
+        var blob;
+
+        env.grid.setTitle('<b>Q1/Q2</b> [draft]: prices');
+        try {
+            blob = await exportBlob(printer, 'xlsx');
+        }
+        finally {
+            env.grid.setTitle(title);
+        }
+
+        assert.match(await readBlob(blob), /<sheet name="Q1 Q2  draft   prices"/);
+    });
+});
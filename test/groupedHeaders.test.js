@@ -0,0 +1,53 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('grouped column headers', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'jan', 'feb', 'mar'],
+            data: [{name: 'A', jan: 1, feb: 2, mar: 3}]
+        },
+        columns: [{text: 'Name', dataIndex: 'name'}, {
+            text: 'Q1',
+            columns: [
+                {text: 'Jan', dataIndex: 'jan'},
+                {text: 'Feb', dataIndex: 'feb'},
+                {text: 'Mar', dataIndex: 'mar', hidden: true}
+            ]
+        }]
+    });
+
+    function headerRows(printer) {
+        var doc = helpers.print(env, printer);
+
+        return Array.from(doc.querySelectorAll('thead tr'), function(row) {
+            return Array.from(row.querySelectorAll('th'), function(th) {
+                return th.textContent + ':' + th.getAttribute('colspan') + ':' + th.getAttribute('rowspan');
+            });
+        });
+    }
+
+    test.it('prints a header row per level with colspan and rowspan, without hidden children', function() {
+        assert.deepEqual(headerRows(helpers.createPrinter(env.Ext)), [
+            ['Name:1:2', 'Q1:2:1'],
+            ['Jan:1:1', 'Feb:1:1']
+        ]);
+    });
+
+    test.it('uses the template of a header row from headerRowTpls', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            headerRowTpls: [[
+                '<tpl for=".">',
+                '<th colspan="{colspan}" rowspan="{rowspan}">[{text}]</th>',
+                '</tpl>'
+            ]]
+        });
+
+        assert.deepEqual(headerRows(printer), [
+            ['[Name]:1:2', '[Q1]:2:1'],
+            ['Jan:1:1', 'Feb:1:1']
+        ]);
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('grouping', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'country', 'city', 'amount'],
+            groupField: 'country',
+            data: [
+                {name: 'A', country: 'DE', city: 'Berlin', amount: 1},
+                {name: 'B', country: 'DE', city: 'Bonn', amount: 2},
+                {name: 'C', country: 'FR', city: 'Paris', amount: 4}
+            ]
+        },
+        features: [{
+            ftype: 'groupingsummary',
+            groupHeaderTpl: '{name}'
+        }],
+        columns: [{text: 'Name', dataIndex: 'name'}, {text: 'City', dataIndex: 'city'}, {text: 'Amount', dataIndex: 'amount', summaryType: 'sum'}]
+    });
+
+    test.it('prints the header only of groups collapsed in the grid', function() {
+        var doc;
+
+        env.grid.view.findFeature('groupingsummary').collapse('FR');
+        doc = helpers.print(env, helpers.createPrinter(env.Ext));
+
+        assert.deepEqual(helpers.texts(doc, 'tr.group-header'), ['DE', 'FR']);
+        assert.deepEqual(helpers.texts(doc, 'tbody tr.odd td:first-child, tbody tr.even td:first-child'), ['A', 'B']);
+        env.grid.view.findFeature('groupingsummary').expand('FR');
+    });
+
+    test.it('prints nested groups of subGroupers with their subtotals', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext, {subGroupers: ['city']}));
+
+        assert.deepEqual(helpers.texts(doc, 'tr.group-header-level-1'), ['Berlin', 'Bonn', 'Paris']);
+        assert.deepEqual(helpers.texts(doc, 'tr.group-summary-level-0 td:last-child'), ['3', '4']);
+    });
+
+    test.it('indents the group headers of every nesting level by groupIndent', function() {
+        var indents = function(doc, level) {
+            return Array.from(doc.querySelectorAll('tr.group-header-level-' + level + ' td')).map(function(td) {
+                return td.getAttribute('style');
+            });
+        };
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext, {subGroupers: ['city', 'name'], groupIndent: 10}));
+
+        assert.deepEqual(indents(doc, 0), [null, null]);
+        assert.deepEqual(indents(doc, 1), ['padding-left: 10px;', 'padding-left: 10px;', 'padding-left: 10px;']);
+        assert.deepEqual(indents(doc, 2), ['padding-left: 20px;', 'padding-left: 20px;', 'padding-left: 20px;']);
+
+        doc = helpers.print(env, helpers.createPrinter(env.Ext, {subGroupers: ['city', 'name'], dir: 'rtl'}));
+        assert.deepEqual(indents(doc, 2), ['padding-right: 32px;', 'padding-right: 32px;', 'padding-right: 32px;']);
+    });
+
+    test.it('exports the rows of collapsed groups', function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var rows;
+
+        env.grid.view.findFeature('groupingsummary').collapse('FR');
+        rows = printer.getExportRows(env.grid, env.grid.getStore().getRange());
+        env.grid.view.findFeature('groupingsummary').expand('FR');
+
+        assert.deepEqual(Array.from(rows).filter(function(row) {
+            return row.type === 'data';
+        }).map(function(row) {
+            return row.cells[0].text;
+        }), ['A', 'B', 'C']);
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+/**
+ * Loads Ext JS and the printer classes into a jsdom window for the tests. npm only has GPL
+ * builds of Ext JS 6.2 and later, the tests use 6.2, the closest release to Ext JS 5.
+ */
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var jsdom = require('jsdom');
+
+var uxPath = path.join(__dirname, '..', '..', 'ux', 'grid');
+var classes = ['PrinterExporter', 'Printer', 'PrinterDialog', 'PrinterPreview', 'PrinterPlugin'];
+var extSource;
+
+/**
+ * Creates a window with Ext JS and the printer classes loaded.
+ * @returns {Promise} resolved with {window, Ext} when Ext is ready
+ */
+function loadExt() {
+    var virtualConsole = new jsdom.VirtualConsole();
+    var dom, window;
+
+    // jsdom has no canvas, Ext's feature detection reports it
+    virtualConsole.on('jsdomError', function(error) {
+        if (!/Not implemented/.test(error.message)) {
+            console.error(error);
+        }
+    });
+
+    dom = new jsdom.JSDOM('<!DOCTYPE html><html><head><script src="http://localhost/ext-all-debug.js"></script></head><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    window = dom.window;
+
+    extSource = extSource || fs.readFileSync(require.resolve('extjs-gpl/build/ext-all-debug.js'), 'utf8');
+    window.eval(extSource);
+    classes.forEach(function(name) {
+        window.eval(fs.readFileSync(path.join(uxPath, name + '.js'), 'utf8'));
+    });
+
+    return new Promise(function(resolve) {
+        window.Ext.onReady(function() {
+            resolve({
+                window: window,
+                Ext: window.Ext
+            });
+        });
+    });
+}
+
+/**
+ * Creates a grid rendered to the body of the window.
+ * @param {Object} Ext
+ * @param {Object} config
+ * @returns {Ext.grid.Panel}
+ */
+function createGrid(Ext, config) {
+    return Ext.create(config.xtype === 'treepanel' ? 'Ext.tree.Panel' : 'Ext.grid.Panel', Ext.apply({
+        renderTo: Ext.getBody(),
+        width: 800,
+        height: 400
+    }, config));
+}
+
+/**
+ * Returns the config of the grid most tests print: one column of names with a single record.
+ * @param {Object} [config] config applied over the fixture, e.g. a title or plugins
+ * @returns {Object}
+ */
+function namesGrid(config) {
+    return Object.assign({
+        store: {
+            fields: ['name'],
+            data: [{name: 'A'}]
+        },
+        columns: [{text: 'Name', dataIndex: 'name'}]
+    }, config);
+}
+
+/**
+ * Registers the hooks of the current suite: Ext JS is loaded and the grid created before its
+ * tests, the window is closed after them.
+ * @param {Object|Function} [gridConfig] config of the grid or a function(Ext) returning it,
+ * no grid is created without it
+ * @returns {Object} the environment with window, Ext and grid, filled in before the tests
+ */
+function setup(gridConfig) {
+    var env = {};
+
+    test.before(async function() {
+        Object.assign(env, await loadExt());
+        if (gridConfig) {
+            env.grid = createGrid(env.Ext, typeof gridConfig === 'function' ? gridConfig(env.Ext) : gridConfig);
+        }
+    });
+
+    test.after(function() {
+        env.window.close();
+    });
+
+    return env;
+}
+
+/**
+ * Returns the document printed by the printer for the grid of the environment.
+ * @param {Object} env
+ * @param {Ext.ux.grid.Printer} printer
+ * @param {Ext.data.Model[]} [records] the records of the store by default
+ * @returns {Document}
+ */
+function print(env, printer, records) {
+    return parse(env.window, printer.getPrintHtml(env.grid, records || env.grid.getStore().getRange()));
+}
+
+/**
+ * Creates a printer with a stylesheet path, print() sets it from the loaded scripts.
+ * @param {Object} Ext
+ * @param {Object} [config]
+ * @returns {Ext.ux.grid.Printer}
+ */
+function createPrinter(Ext, config) {
+    return Ext.create('Ext.ux.grid.Printer', Ext.apply({
+        stylesheetPath: 'ux/grid/gridPrinterCss/print.css'
+    }, config));
+}
+
+/**
+ * Parses html into a document of the window.
+ * @param {Window} window
+ * @param {String} html
+ * @returns {Document}
+ */
+function parse(window, html) {
+    return new window.DOMParser().parseFromString(html, 'text/html');
+}
+
+/**
+ * Returns the trimmed text of the elements matching the selector.
+ * @param {Document|Element} root
+ * @param {String} selector
+ * @returns {String[]}
+ */
+function texts(root, selector) {
+    return Array.prototype.map.call(root.querySelectorAll(selector), function(el) {
+        return el.textContent.replace(/\u00a0/g, ' ').trim();
+    });
+}
+
+module.exports = {
+    loadExt: loadExt,
+    setup: setup,
+    createGrid: createGrid,
+    namesGrid: namesGrid,
+    createPrinter: createPrinter,
+    print: print,
+    parse: parse,
+    texts: texts
+};
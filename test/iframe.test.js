@@ -0,0 +1,84 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('iframe output', function() {
+    var env = helpers.setup(helpers.namesGrid());
+    var open;
+
+    test.before(function() {
+        open = env.window.open;
+    });
+
+    test.afterEach(function() {
+        env.window.open = open;
+    });
+
+    function frames() {
+        return env.window.document.querySelectorAll('iframe.x-ux-grid-printer-frame').length;
+    }
+
+    // prints and reports afterprint of the iframe once the document is ready
+    function printFromFrame(printer) {
+        var events = [];
+
+        env.Ext.each(['beforePrint', 'print', 'documentReady', 'printed', 'afterPrint'], function(name) {
+            printer.on(name, function() {
+                events.push(name);
+            });
+        });
+        // the afterprint listener is added after documentReady
+        printer.on('documentReady', function(p, printWindow) {
+            setTimeout(function() {
+                printWindow.dispatchEvent(new env.window.Event('afterprint'));
+            }, 0);
+        });
+
+        return printer.print(env.grid).then(function(result) {
+            assert.equal(result.status, 'printed');
+            return events;
+        });
+    }
+
+    test.it('prints from a hidden iframe and removes it afterwards', async function() {
+        var printer = helpers.createPrinter(env.Ext, {output: 'iframe', useBlobUrl: false});
+        var events = await printFromFrame(printer);
+
+        assert.deepEqual(events, ['beforePrint', 'print', 'documentReady', 'printed', 'afterPrint']);
+        assert.equal(frames(), 1);
+        await new Promise(function(resolve) {
+            setTimeout(resolve, 150);
+        });
+        assert.equal(frames(), 0);
+    });
+
+    test.it('falls back to the iframe when the popup is blocked', async function() {
+        var printer = helpers.createPrinter(env.Ext, {useBlobUrl: false});
+        var events;
+
+        env.window.open = function() {
+            return null;
+        };
+        events = await printFromFrame(printer);
+
+        assert.deepEqual(events, ['beforePrint', 'print', 'documentReady', 'printed', 'afterPrint']);
+    });
+
+    test.it('rejects with reason popupblocked without iframeFallback', async function() {
+        var printer = helpers.createPrinter(env.Ext, {iframeFallback: false, useBlobUrl: false});
+        var successful;
+
+        env.window.open = function() {
+            return null;
+        };
+        printer.on('print', function(value) {
+            successful = value;
+        });
+
+        await assert.rejects(printer.print(env.grid), function(error) {
+            return error.reason === 'popupblocked';
+        });
+        assert.equal(successful, false);
+    });
+});
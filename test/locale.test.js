@@ -0,0 +1,59 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers/ext');
+
+test.describe('locale and rtl', function() {
+    var env = helpers.setup();
+
+    test.before(function() {
+        env.window.eval(fs.readFileSync(path.join(__dirname, '..', 'ux', 'grid', 'locale', 'printer-locale-de.js'), 'utf8'));
+    });
+
+    function createGrid(config) {
+        return helpers.createGrid(env.Ext, env.Ext.apply({
+            store: {
+                fields: ['name', 'amount'],
+                data: [{name: 'A', amount: 1}]
+            },
+            columns: [{xtype: 'rownumberer', text: ''}, {text: 'Name', dataIndex: 'name', align: 'left'}, {text: 'Amount', dataIndex: 'amount', align: 'right'}]
+        }, config));
+    }
+
+    function print(printer, grid) {
+        return helpers.parse(env.window, printer.getPrintHtml(grid, grid.getStore().getRange()));
+    }
+
+    test.it('takes the texts from the locale override', function() {
+        var grid = createGrid();
+        var doc = print(helpers.createPrinter(env.Ext), grid);
+
+        assert.deepEqual(helpers.texts(doc, 'a'), ['Drucken', 'Schließen']);
+        assert.equal(helpers.texts(doc, 'thead th')[0], 'Zeile');
+        assert.equal(doc.title, 'Druckansicht');
+        grid.destroy();
+    });
+
+    test.it('sets lang and dir of the document', function() {
+        var grid = createGrid();
+        var doc = print(helpers.createPrinter(env.Ext, {lang: 'de-DE'}), grid);
+
+        assert.equal(doc.documentElement.getAttribute('lang'), 'de-DE');
+        assert.equal(doc.documentElement.getAttribute('dir'), 'ltr');
+        grid.destroy();
+    });
+
+    // rtl: true on the grid needs the rtl build of Ext JS, dir sets the direction as well
+    test.it('mirrors the alignment of right-to-left documents', function() {
+        var grid = createGrid();
+        var doc = print(helpers.createPrinter(env.Ext, {dir: 'rtl'}), grid);
+        var headings = doc.querySelectorAll('thead th');
+
+        assert.equal(doc.documentElement.getAttribute('dir'), 'rtl');
+        assert.match(headings[1].getAttribute('style'), /text-align: right/);
+        assert.match(headings[2].getAttribute('style'), /text-align: left/);
+        grid.destroy();
+    });
+});
@@ -0,0 +1,38 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('locked grid', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['code', 'name', 'price', 'city'],
+            data: [{code: 'C1', name: 'A', price: 1, city: 'Berlin'}, {code: 'C2', name: 'B', price: 2, city: 'Paris'}]
+        },
+        features: [{ftype: 'summary'}],
+        columns: [
+            {text: 'Name', dataIndex: 'name', width: 200},
+            {text: 'Code', dataIndex: 'code', locked: true, width: 100},
+            {text: 'Price', dataIndex: 'price', width: 200, summaryType: 'sum'},
+            {text: 'City', dataIndex: 'city', width: 200}
+        ]
+    });
+
+    test.it('prints the locked columns first and marks them', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext));
+
+        assert.deepEqual(helpers.texts(doc, 'thead th'), ['Code', 'Name', 'Price', 'City']);
+        assert.deepEqual(helpers.texts(doc, 'tbody td.x-ux-grid-printer-locked-last'), ['C1', 'C2']);
+        assert.deepEqual(helpers.texts(doc, 'tfoot td'), ['', '', '3', '']);
+    });
+
+    test.it('repeats the locked columns in every band of a split grid', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext, {splitColumns: true, pageWidth: 350}));
+        var bands = doc.querySelectorAll('.x-ux-grid-printer-band');
+
+        assert.ok(bands.length > 1);
+        Array.prototype.forEach.call(bands, function(band) {
+            assert.equal(helpers.texts(band, 'thead th')[0], 'Code');
+        });
+    });
+});
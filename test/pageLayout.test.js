@@ -0,0 +1,46 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('page layout', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'amount'],
+            data: [{name: 'A', amount: 1}, {name: 'B', amount: 2}]
+        },
+        features: [{ftype: 'summary'}],
+        columns: [{text: 'Name', dataIndex: 'name'}, {text: 'Amount', dataIndex: 'amount', summaryType: 'sum'}]
+    });
+
+    test.it('writes the @page rule of pageSize, orientation and margins', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            pageSize: 'A4',
+            orientation: 'landscape',
+            margins: {top: 10, right: '1cm', bottom: 10, left: 5}
+        });
+
+        assert.equal(printer.getPageCss(), '@page { size: A4 landscape; margin: 10mm 1cm 10mm 5mm; }');
+    });
+
+    test.it('turns explicit page dimensions for landscape', function() {
+        var printer = helpers.createPrinter(env.Ext, {pageSize: '210mm 297mm', orientation: 'landscape'});
+
+        assert.equal(printer.getPageCss(), '@page { size: 297mm 210mm; }');
+    });
+
+    test.it('keeps group blocks together with keepGroupsTogether', function() {
+        var printer = helpers.createPrinter(env.Ext, {keepGroupsTogether: true});
+
+        assert.match(printer.getPageCss(), /tbody\.x-ux-grid-printer-group \{ page-break-inside: avoid; \}/);
+    });
+
+    test.it('prints the headings in thead and the summary in tfoot to repeat them on every page', function() {
+        var printer = helpers.createPrinter(env.Ext, {orientation: 'portrait'});
+        var doc = helpers.print(env, printer);
+
+        assert.deepEqual(helpers.texts(doc, 'thead th'), ['Name', 'Amount']);
+        assert.deepEqual(helpers.texts(doc, 'tfoot td'), ['', '3']);
+        assert.match(doc.querySelector('head').innerHTML, /@page \{ size: portrait; \}/);
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('pageHeaderTpl', function() {
+    var env = helpers.setup(helpers.namesGrid({
+        title: '<img src="x" onerror="alert(1)">Companies'
+    }));
+
+    test.it('prints the title, the record count and the metadata on every page', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            pageHeaderTpl: '{title} ({recordCount})',
+            pageFooterTpl: 'Report {metadata.reportId}',
+            printMetadata: {reportId: 'R-7'}
+        });
+        var doc = helpers.print(env, printer);
+
+        assert.match(doc.querySelector('thead').textContent, /Companies \(1\)/);
+        assert.match(doc.querySelector('tfoot').textContent, /Report R-7/);
+    });
+
+    test.it('passes the print date and the active filters to the templates', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            pageHeaderTpl: '{printDateText}|<tpl for="filters">{text} {operatorText} {valueText}</tpl>',
+            printDateFormat: 'Y'
+        });
+        var doc;
+
+        env.grid.getStore().filter('name', 'A');
+        try {
+            doc = helpers.print(env, printer);
+        }
+        finally {
+            env.grid.getStore().clearFilter();
+        }
+
+        assert.equal(doc.querySelector('thead td').textContent, new Date().getFullYear() + '|Name contains A');
+    });
+
+    test.it('writes the page numbers into the page margin', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            showPageNumbers: true,
+            pageNumberText: 'Seite {0} von {1}',
+            pageNumberPosition: 'top-center'
+        });
+
+        assert.match(printer.getPageCss(), /@top-center \{ content: "Seite " counter\(page\) " von " counter\(pages\);/);
+    });
+
+    test.it('escapes the title and the metadata', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            pageHeaderTpl: '{title}',
+            pageFooterTpl: '{metadata.user}',
+            printMetadata: {user: '<b>Bob</b>'}
+        });
+        var doc = helpers.print(env, printer);
+
+        assert.equal(doc.querySelector('thead img'), null);
+        assert.equal(doc.querySelector('tfoot b'), null);
+        assert.match(doc.querySelector('tfoot').textContent, /<b>Bob<\/b>/);
+    });
+
+    test.it('escapes the texts of the print and close links', function() {
+        var printer = helpers.createPrinter(env.Ext, {
+            printLinkText: '<i>Print</i>',
+            closeLinkText: '<i>Close</i>'
+        });
+        var doc = helpers.print(env, printer);
+
+        assert.equal(doc.querySelector('a i'), null);
+        assert.deepEqual(helpers.texts(doc, 'a'), ['<i>Print</i>', '<i>Close</i>']);
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('PrinterPlugin', function() {
+    var env = helpers.setup(helpers.namesGrid({
+        plugins: [{
+            ptype: 'gridprinter',
+            printer: {
+                stylesheetPath: 'ux/grid/gridPrinterCss/print.css',
+                listeners: {
+                    // cancels every print, the Promise of print is rejected
+                    beforePrint: function() {
+                        return false;
+                    }
+                }
+            }
+        }]
+    }));
+    var plugin;
+
+    test.before(function() {
+        plugin = env.grid.findPlugin('gridprinter');
+    });
+
+    test.it('handles the rejection of prints started from the button', async function() {
+        var button = env.grid.down('toolbar button');
+        var unhandled = [];
+        var onUnhandled = function(reason) {
+            unhandled.push(reason);
+        };
+
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            button.handler.call(button.scope, button);
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 50);
+            });
+        }
+        finally {
+            process.removeListener('unhandledRejection', onUnhandled);
+        }
+
+        assert.equal(unhandled.length, 0);
+    });
+
+    test.it('returns the rejected Promise to direct callers of print', async function() {
+        await assert.rejects(plugin.print(), function(error) {
+            return error.reason === 'cancelled';
+        });
+    });
+});
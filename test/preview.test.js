@@ -0,0 +1,68 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('preview', function() {
+    var env = helpers.setup(helpers.namesGrid());
+
+    function waitFor(observable, eventName) {
+        return new Promise(function(resolve) {
+            observable.on(eventName, function() {
+                resolve(Array.from(arguments));
+            }, null, {single: true});
+        });
+    }
+
+    test.it('applies the options of the preview to the previewed document only', async function() {
+        var printer = helpers.createPrinter(env.Ext, {output: 'preview'});
+        var promise = printer.print(env.grid);
+        var preview = env.Ext.ComponentQuery.query('gridprinterpreview')[0];
+        var html;
+
+        promise.then(null, env.Ext.emptyFn);
+        preview.writeDocument = env.Ext.Function.createInterceptor(preview.writeDocument, function(generated) {
+            html = generated;
+        });
+        preview.setOption('orientation', 'landscape');
+
+        assert.match(html, /size: [^;]*landscape/);
+        assert.equal(printer.getOrientation(), null);
+        preview.close();
+    });
+
+    test.it('fires printed once per print of the preview', async function() {
+        var printer = helpers.createPrinter(env.Ext, {output: 'preview'});
+        var printed = 0;
+        var preview;
+
+        printer.on('printed', function() {
+            printed++;
+        });
+        printer.print(env.grid);
+        preview = env.Ext.ComponentQuery.query('gridprinterpreview')[0];
+        preview.printDocument();
+        preview.onAfterPrint();
+        preview.onAfterPrint();
+
+        assert.equal(printed, 1);
+        preview.close();
+    });
+
+    test.it('fires printed once when the print window reports afterprint again', async function() {
+        var printer = helpers.createPrinter(env.Ext, {output: 'iframe', useBlobUrl: false});
+        var printed = 0;
+        var ready = waitFor(printer, 'documentReady');
+        var promise = printer.print(env.grid);
+        var printWindow = (await ready)[1];
+
+        printer.on('printed', function() {
+            printed++;
+        });
+        printWindow.dispatchEvent(new env.window.Event('afterprint'));
+        printWindow.dispatchEvent(new env.window.Event('afterprint'));
+        await promise;
+
+        assert.equal(printed, 1);
+    });
+});
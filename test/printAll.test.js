@@ -0,0 +1,49 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('printAll', function() {
+    var env = helpers.setup();
+    var tree;
+
+    test.before(function() {
+        tree = helpers.createGrid(env.Ext, {
+            xtype: 'treepanel',
+            rootVisible: false,
+            store: {
+                fields: ['text'],
+                root: {
+                    expanded: true,
+                    children: [{text: 'Folder', leaf: false, loaded: false}]
+                }
+            },
+            columns: [{xtype: 'treecolumn', text: 'Name', dataIndex: 'text'}]
+        });
+        // the children of the folder arrive asynchronously
+        tree.getStore().load = function(options) {
+            setTimeout(function() {
+                options.node.appendChild({text: 'Child', leaf: true});
+                options.node.set('loaded', true);
+                options.callback.call(options.scope, [], null, true);
+            }, 10);
+        };
+    });
+
+    test.it('uses the config of the section for the nodes loaded asynchronously', async function() {
+        var printer = helpers.createPrinter(env.Ext);
+        var printed;
+
+        printer.on('beforeRender', function(p, grid, records) {
+            printed = Array.from(records, function(node) {
+                return node.get('text');
+            });
+            return false;
+        });
+
+        await assert.rejects(printer.printAll([{grid: tree, config: {treeExpand: 'all'}}]));
+
+        assert.deepEqual(printed, ['Folder', 'Child']);
+        assert.equal(printer.getTreeExpand(), 'visible');
+    });
+});
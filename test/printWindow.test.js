@@ -0,0 +1,95 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('print window', function() {
+    var env = helpers.setup(helpers.namesGrid());
+    var open;
+
+    test.before(function() {
+        open = env.window.open;
+    });
+
+    test.afterEach(function() {
+        env.window.open = open;
+    });
+
+    // a popup the test closes, its document is the one of an iframe
+    function createPopup() {
+        var frame = env.window.document.createElement('iframe');
+
+        env.window.document.body.appendChild(frame);
+        return {
+            closed: false,
+            document: frame.contentDocument,
+            focus: function() {},
+            print: function() {}
+        };
+    }
+
+    test.it('resolves with status closed when the window is closed without printing', async function() {
+        var printer = helpers.createPrinter(env.Ext, {useBlobUrl: false, printAutomatically: false});
+        var popup = createPopup();
+        var promise;
+
+        env.window.open = function() {
+            return popup;
+        };
+        printer.on('documentReady', function() {
+            popup.closed = true;
+        });
+        promise = printer.print(env.grid);
+
+        assert.equal((await promise).status, 'closed');
+    });
+
+    test.it('resolves with status closed when the window is closed while loading', async function() {
+        var printer = helpers.createPrinter(env.Ext, {useBlobUrl: false});
+        var popup = {
+            closed: false,
+            document: {readyState: 'loading', open: function() {}, write: function() {}, close: function() {}},
+            focus: function() {}
+        };
+        var promise;
+
+        env.window.open = function() {
+            return popup;
+        };
+        promise = printer.print(env.grid);
+        popup.closed = true;
+
+        assert.equal((await promise).status, 'closed');
+    });
+
+    test.it('resolves the print shown in the window with status replaced when the next print reuses it', async function() {
+        var first = helpers.createPrinter(env.Ext, {useBlobUrl: false, printAutomatically: false});
+        var second = helpers.createPrinter(env.Ext, {useBlobUrl: false, printAutomatically: false});
+        var popup = createPopup();
+        var firstPromise, result;
+
+        env.window.open = function() {
+            return popup;
+        };
+        firstPromise = first.print(env.grid);
+        second.print(env.grid);
+
+        result = await firstPromise;
+        assert.equal(result.status, 'replaced');
+        assert.equal(result.printWindow, popup);
+
+        popup.closed = true;
+    });
+
+    test.it('resolves with status cancelled when the user cancels the options dialog', async function() {
+        var printer = helpers.createPrinter(env.Ext, {showDialog: true});
+        var promise = printer.print(env.grid);
+        var result;
+
+        env.Ext.ComponentQuery.query('gridprinterdialog')[0].close();
+
+        result = await promise;
+        assert.equal(result.status, 'cancelled');
+        assert.equal(result.printWindow, null);
+    });
+});
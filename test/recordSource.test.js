@@ -0,0 +1,42 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('recordSource', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'amount'],
+            data: [{name: 'A', amount: 1}, {name: 'B', amount: 2}, {name: 'C', amount: 4}]
+        },
+        selModel: {mode: 'MULTI'},
+        features: [{ftype: 'summary'}],
+        columns: [{text: 'Name', dataIndex: 'name'}, {text: 'Amount', dataIndex: 'amount', summaryType: 'sum'}]
+    });
+
+    function collect(printer) {
+        return new Promise(function(resolve, reject) {
+            printer.collectRecords(env.grid, resolve, reject);
+        });
+    }
+
+    test.it('prints only the selected records with recordSource selection', async function() {
+        var printer = helpers.createPrinter(env.Ext, {recordSource: 'selection'});
+        var records;
+
+        env.grid.getSelectionModel().select([env.grid.getStore().getAt(0), env.grid.getStore().getAt(2)]);
+        records = await collect(printer);
+
+        assert.deepEqual(helpers.texts(helpers.print(env, printer, records), 'tbody td:first-child'), ['A', 'C']);
+    });
+
+    test.it('sums the printed records in the summary row of the tfoot', async function() {
+        var printer = helpers.createPrinter(env.Ext, {recordSource: 'selection'});
+        var doc;
+
+        env.grid.getSelectionModel().select([env.grid.getStore().getAt(0), env.grid.getStore().getAt(1)]);
+        doc = helpers.print(env, printer, await collect(printer));
+
+        assert.deepEqual(helpers.texts(doc, 'tfoot td'), ['', '3']);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('splitColumns', function() {
+    var env = helpers.setup(function() {
+        var fields = ['id'];
+        // printWidth as jsdom has no layout to measure the columns
+        var columns = [{text: 'Id', dataIndex: 'id', printWidth: 50}];
+        var data = {id: 1};
+
+        for (var i = 1; i <= 5; i++) {
+            fields.push('c' + i);
+            columns.push({text: 'C' + i, dataIndex: 'c' + i, printWidth: 100});
+            data['c' + i] = 'v' + i;
+        }
+        return {
+            store: {
+                fields: fields,
+                data: [data]
+            },
+            columns: columns
+        };
+    });
+
+    function bands(printer) {
+        var doc = helpers.print(env, printer);
+
+        return Array.from(doc.querySelectorAll('.x-ux-grid-printer-band'), function(band) {
+            return helpers.texts(band, 'caption').concat(helpers.texts(band, 'thead th')).join('|');
+        });
+    }
+
+    test.it('splits the columns into bands of the page width with captions', function() {
+        var printer = helpers.createPrinter(env.Ext, {splitColumns: true, pageWidth: 260});
+
+        assert.deepEqual(bands(printer), [
+            'Columns 1–3 of 6|Id|C1|C2',
+            'Columns 4–5 of 6|C3|C4',
+            'Columns 6–6 of 6|C5'
+        ]);
+    });
+
+    test.it('repeats the key columns in every band', function() {
+        var printer = helpers.createPrinter(env.Ext, {splitColumns: true, pageWidth: 260, keyColumns: ['id']});
+
+        assert.deepEqual(bands(printer), [
+            'Columns 1–2 of 5|Id|C1|C2',
+            'Columns 3–4 of 5|Id|C3|C4',
+            'Columns 5–5 of 5|Id|C5'
+        ]);
+    });
+
+    test.it('prints one table when the columns fit the page', function() {
+        var printer = helpers.createPrinter(env.Ext, {splitColumns: true, pageWidth: 2000});
+        var doc = helpers.print(env, printer);
+
+        assert.equal(doc.querySelectorAll('table').length, 1);
+        assert.equal(doc.querySelector('caption'), null);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('row classes, cell classes and stylesheets', function() {
+    var env = helpers.setup({
+        store: {
+            fields: ['name', 'price'],
+            data: [{name: 'A', price: -1}, {name: 'B', price: 2}]
+        },
+        viewConfig: {
+            getRowClass: function(rcd) {
+                return rcd.get('price') < 0 ? 'negative' : '';
+            }
+        },
+        columns: [{
+            text: 'Name',
+            dataIndex: 'name',
+            tdCls: 'name-cell'
+        }, {
+            text: 'Price',
+            dataIndex: 'price',
+            printWidth: 120
+        }]
+    });
+
+    test.it('adds the classes of getRowClass to the rows unless useRowClass is false', function() {
+        var rows = helpers.print(env, helpers.createPrinter(env.Ext)).querySelectorAll('tbody tr');
+
+        assert.ok(rows[0].classList.contains('negative'));
+        assert.ok(!rows[1].classList.contains('negative'));
+
+        rows = helpers.print(env, helpers.createPrinter(env.Ext, {useRowClass: false})).querySelectorAll('tbody tr');
+        assert.ok(!rows[0].classList.contains('negative'));
+    });
+
+    test.it('adds the tdCls of the column to its cells', function() {
+        var cells = helpers.print(env, helpers.createPrinter(env.Ext)).querySelectorAll('tbody tr')[0].querySelectorAll('td');
+
+        assert.ok(cells[0].classList.contains('name-cell'));
+        assert.ok(!cells[1].classList.contains('name-cell'));
+    });
+
+    test.it('prints col elements with the column widths when columnWidths is true', function() {
+        var doc = helpers.print(env, helpers.createPrinter(env.Ext));
+
+        assert.equal(doc.querySelectorAll('col').length, 0);
+
+        doc = helpers.print(env, helpers.createPrinter(env.Ext, {columnWidths: true}));
+        assert.deepEqual(Array.from(doc.querySelectorAll('col'), function(col) {
+            return col.style.width;
+        }), ['100px', '120px']);
+    });
+
+    test.it('adds the printCss and the included stylesheets to the head', function() {
+        var head = env.window.document.head;
+        var link = env.window.document.createElement('link');
+        var doc;
+
+        link.rel = 'stylesheet';
+        link.href = 'http://localhost/resources/app.css';
+        head.appendChild(link);
+
+        try {
+            doc = helpers.print(env, helpers.createPrinter(env.Ext, {
+                printCss: '.negative { color: red; }',
+                includeStylesheets: ['resources/app.css']
+            }));
+        }
+        finally {
+            head.removeChild(link);
+        }
+
+        assert.ok(Array.from(doc.querySelectorAll('head style'), function(style) {
+            return style.textContent;
+        }).indexOf('.negative { color: red; }') !== -1);
+        assert.equal(doc.querySelectorAll('head link[href="http://localhost/resources/app.css"]').length, 1);
+        assert.equal(helpers.print(env, helpers.createPrinter(env.Ext)).querySelectorAll('head link[href*="app.css"]').length, 0);
+    });
+});
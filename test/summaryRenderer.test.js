@@ -0,0 +1,165 @@
+'use strict';
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/ext');
+
+test.describe('summaryRenderer', function() {
+    var env = helpers.setup();
+
+    // renders the arguments of Ext's contract: value, summaryData, dataIndex and metaData
+    function summaryRenderer(value, summaryData, dataIndex, metaData) {
+        return '<b>' + value + '|' + summaryData.amount + '|' + dataIndex + '|' + env.Ext.isObject(metaData) + '</b>';
+    }
+
+    function print(grid) {
+        var printer = helpers.createPrinter(env.Ext);
+
+        return helpers.parse(env.window, printer.getPrintHtml(grid, grid.getStore().getRange()));
+    }
+
+    test.it('calls summaryRenderer of the summary row with the arguments of Ext and escapes it', function() {
+        var grid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'amount'],
+                data: [{name: 'A', amount: 1}, {name: 'B', amount: 2}]
+            },
+            features: [{ftype: 'summary'}],
+            columns: [{text: 'Name', dataIndex: 'name'}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                itemId: 'amount',
+                summaryType: 'sum',
+                summaryRenderer: summaryRenderer
+            }]
+        });
+        var doc = print(grid);
+
+        assert.equal(doc.querySelector('tfoot b'), null);
+        assert.deepEqual(helpers.texts(doc, 'tfoot td:last-child'), ['<b>3|3|amount|true</b>']);
+        grid.destroy();
+    });
+
+    test.it('calls summaryRenderer of the group summaries with the arguments of Ext', function() {
+        var grid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'country', 'amount'],
+                groupField: 'country',
+                data: [{name: 'A', country: 'DE', amount: 1}, {name: 'B', country: 'DE', amount: 2}, {name: 'C', country: 'FR', amount: 4}]
+            },
+            features: [{ftype: 'groupingsummary', groupHeaderTpl: '{name}'}],
+            columns: [{text: 'Name', dataIndex: 'name'}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                itemId: 'amount',
+                summaryType: 'sum',
+                summaryRenderer: summaryRenderer
+            }]
+        });
+        var doc = print(grid);
+
+        assert.deepEqual(helpers.texts(doc, 'tr.group-summary-level-0 td:last-child'), ['<b>3|3|amount|true</b>', '<b>4|4|amount|true</b>']);
+        grid.destroy();
+    });
+
+    test.it('calls summaryRenderer of the tree subtotals with the arguments of Ext and escapes values', function() {
+        var grid = helpers.createGrid(env.Ext, {
+            xtype: 'treepanel',
+            rootVisible: false,
+            store: {
+                fields: ['text', 'amount', 'code'],
+                root: {
+                    expanded: true,
+                    children: [{
+                        text: 'Folder',
+                        expanded: true,
+                        children: [{text: 'A', amount: 1, code: '<i>', leaf: true}, {text: 'B', amount: 2, code: '<i>', leaf: true}]
+                    }]
+                }
+            },
+            columns: [{xtype: 'treecolumn', text: 'Name', dataIndex: 'text'}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                itemId: 'amount',
+                summaryType: 'sum',
+                summaryRenderer: summaryRenderer
+            }, {
+                text: 'Code',
+                dataIndex: 'code',
+                summaryType: 'max'
+            }]
+        });
+        var printer = helpers.createPrinter(env.Ext, {treeSubtotals: true});
+        var doc = helpers.parse(env.window, printer.getPrintHtml(grid, printer.getTreeRecords(grid)));
+
+        assert.equal(doc.querySelector('tr.x-ux-grid-printer-tree-subtotal b'), null);
+        assert.equal(doc.querySelector('tr.x-ux-grid-printer-tree-subtotal i'), null);
+        assert.deepEqual(helpers.texts(doc, 'tr.x-ux-grid-printer-tree-subtotal td').slice(1), ['<b>3|3|amount|true</b>', '<i>']);
+        grid.destroy();
+    });
+
+    test.it('aggregates each column once per group summary row', function() {
+        var calls = {};
+
+        function counted(dataIndex) {
+            return function(records) {
+                calls[dataIndex] = (calls[dataIndex] || 0) + 1;
+                return records.length;
+            };
+        }
+
+        var grid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'country', 'amount', 'price'],
+                groupField: 'country',
+                data: [{name: 'A', country: 'DE', amount: 1, price: 1}, {name: 'B', country: 'DE', amount: 2, price: 2}, {name: 'C', country: 'FR', amount: 4, price: 4}]
+            },
+            features: [{ftype: 'groupingsummary', groupHeaderTpl: '{name}'}],
+            columns: [{text: 'Name', dataIndex: 'name', summaryType: counted('name'), summaryRenderer: summaryRenderer}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                itemId: 'amount',
+                summaryType: counted('amount'),
+                summaryRenderer: summaryRenderer
+            }, {
+                text: 'Price',
+                dataIndex: 'price',
+                summaryType: counted('price'),
+                summaryRenderer: summaryRenderer
+            }]
+        });
+
+        // the grid renders its own summaries
+        calls = {};
+        print(grid);
+
+        assert.deepEqual(calls, {name: 2, amount: 2, price: 2});
+        grid.destroy();
+    });
+
+    test.it('aggregates each column once for the summary row', function() {
+        var calls = 0;
+        var grid = helpers.createGrid(env.Ext, {
+            store: {
+                fields: ['name', 'amount'],
+                data: [{name: 'A', amount: 1}, {name: 'B', amount: 2}]
+            },
+            features: [{ftype: 'summary'}],
+            columns: [{text: 'Name', dataIndex: 'name', summaryType: 'count', summaryRenderer: summaryRenderer}, {
+                text: 'Amount',
+                dataIndex: 'amount',
+                itemId: 'amount',
+                summaryType: function(records) {
+                    calls++;
+                    return records.length;
+                },
+                summaryRenderer: summaryRenderer
+            }]
+        });
+
+        calls = 0;
+        print(grid);
+
+        assert.equal(calls, 1);
+        grid.destroy();
+    });
+});
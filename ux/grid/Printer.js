@@ -114,11 +114,104 @@
 // CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 Ext.define('Ext.ux.grid.Printer', {
     requires: [
-        'Ext.XTemplate'
+        'Ext.XTemplate',
+        'Ext.ux.grid.PrinterExporter'
+    ],
+    uses: [
+        'Ext.window.MessageBox',
+        'Ext.ux.grid.PrinterDialog',
+        'Ext.ux.grid.PrinterPreview'
     ],
     mixins: [
         'Ext.mixin.Observable'
     ],
+    statics: {
+        /**
+         * Print handlers of column types, indexed by xtype. A handler is called with the printer
+         * as scope and value, meta, record, column and grid, it returns the html of the cell.
+         * Handlers are used for columns without printRenderer and with the default renderer
+         * of their type, subclasses use the handler of the nearest registered xtype.
+         */
+        columnHandlers: {
+            actioncolumn: function() {
+                return '';
+            },
+            checkcolumn: function(value) {
+                return value ? this.getCheckedText() : this.getUncheckedText();
+            },
+            booleancolumn: function(value, meta, rcd, column) {
+                var proto = Ext.grid.column.Boolean.prototype;
+
+                if (value === undefined || value === null) {
+                    return column.undefinedText;
+                }
+                // columns without their own texts print check marks instead of 'true' and 'false'
+                if (value) {
+                    return column.trueText !== proto.trueText || column.hasOwnProperty('trueText') ? column.trueText : this.getCheckedText();
+                }
+                return column.falseText !== proto.falseText || column.hasOwnProperty('falseText') ? column.falseText : this.getUncheckedText();
+            },
+            datecolumn: function(value, meta, rcd, column) {
+                return Ext.util.Format.date(value, column.format);
+            },
+            numbercolumn: function(value, meta, rcd, column) {
+                return Ext.util.Format.number(value, column.format);
+            },
+            widgetcolumn: function(value, meta, rcd, column) {
+                return this.renderWidgetValue(column, value);
+            }
+        },
+        /**
+         * Registers the print handler of a column type, see columnHandlers.
+         *
+         *     Ext.ux.grid.Printer.registerColumnHandler('ratingcolumn', function(value) {
+         *         return Ext.String.repeat('&#9733;', value);
+         *     });
+         *
+         * @param {String} xtype
+         * @param {Function} handler
+         */
+        registerColumnHandler: function(xtype, handler) {
+            Ext.ux.grid.Printer.columnHandlers[xtype] = handler;
+        },
+        /**
+         * Tags and attributes kept by the sanitizer when sanitizeHtml is true. The content of
+         * other tags is kept without the tag, except for the tags of dropTags.
+         */
+        sanitizeAllowList: {
+            tags: ['a', 'abbr', 'b', 'br', 'code', 'div', 'em', 'font', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small',
+                'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'],
+            attributes: ['align', 'alt', 'class', 'colspan', 'color', 'height', 'href', 'rowspan', 'src', 'style', 'title', 'width'],
+            dropTags: ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'base', 'form', 'noscript', 'template']
+        },
+        /**
+         * Settles the print shown in the print window, all printers share the window.
+         * @private
+         */
+        windowPrint: null,
+        /**
+         * Registers the print shown in the print window. The print window is reused by every
+         * print, the print shown before is settled with status 'replaced'.
+         * @param {Function} settle settles the print when its window is reused
+         */
+        claimPrintWindow: function(settle) {
+            var previous = Ext.ux.grid.Printer.windowPrint;
+
+            Ext.ux.grid.Printer.windowPrint = settle;
+            if (previous) {
+                previous();
+            }
+        },
+        /**
+         * Unregisters a settled print of claimPrintWindow.
+         * @param {Function} settle
+         */
+        releasePrintWindow: function(settle) {
+            if (Ext.ux.grid.Printer.windowPrint === settle) {
+                Ext.ux.grid.Printer.windowPrint = null;
+            }
+        }
+    },
     config: {
         /**
          * Adds disable cache timestamp to resources
@@ -170,15 +263,512 @@ Ext.define('Ext.ux.grid.Printer', {
          */
         closeLinkText: 'Close',
         /**
-         * The markup used to create the headings row. By default this just uses <th> elements, override to provide your own
+         * Heading of rownumberer columns without text
+         * @accessor
+         * @cfg {String} [rowNumbererText='Row']
+         */
+        rowNumbererText: 'Row',
+        /**
+         * Language of the print document, the lang attribute of its html element. Defaults to the
+         * locale of the application (Ext.manifest.locale) or the lang of the page.
+         * @accessor
+         * @cfg {String} [lang=null]
+         */
+        lang: null,
+        /**
+         * Text direction of the print document, 'ltr' or 'rtl'. Defaults to the direction of the
+         * grid (rtl: true) or the page. Right-to-left documents mirror the alignment of the
+         * columns, the indent of tree nodes and group headers and the locked column border.
+         * @accessor
+         * @cfg {String} [dir=null]
+         */
+        dir: null,
+        /**
+         * The markup used to create the headings rows. By default this just uses <th> elements, override to provide your own.
+         * The template is applied once per header row to its columns, extended by cls which marks locked columns,
+         * colspan and rowspan for grouped column headers, the zero based level of the row, the printText of the
+         * column as text and the printWidth of the column as widthStyle.
          * @accessor
          * @cfg {Object/Array} headerTpl
          */
         headerTpl: [
             '<tpl for=".">',
-            '<th style="text-align: {align}">{text}</th>',
+            '<th class="{cls}" colspan="{colspan}" rowspan="{rowspan}" style="text-align: {align};{widthStyle}">{text}</th>',
             '</tpl>'
-        ]
+        ],
+        /**
+         * Templates for single header rows of grouped column headers, indexed from the top row.
+         * Rows without an own template use headerTpl.
+         * @accessor
+         * @cfg {Array} [headerRowTpls=null]
+         */
+        headerRowTpls: null,
+        /**
+         * Which records of an Ext.data.BufferedStore are printed. 'visible' prints the rows
+         * currently rendered by the bufferedrenderer plugin, 'all' prints the whole dataset
+         * and an object with start and end (zero based, inclusive) prints that range.
+         * @accessor
+         * @cfg {String/Object} [bufferedRange='visible']
+         */
+        bufferedRange: 'visible',
+        /**
+         * Number of records requested per getRange call when gathering the records of a
+         * buffered store. Defaults to the page size of the store.
+         * @accessor
+         * @cfg {Number} [bufferedChunkSize=null]
+         */
+        bufferedChunkSize: null,
+        /**
+         * Separator between the fields of a CSV export
+         * @accessor
+         * @cfg {String} [csvSeparator=',']
+         */
+        csvSeparator: ',',
+        /**
+         * True to prefix CSV cells starting with =, +, -, @ with an apostrophe, so that spreadsheets
+         * don't evaluate exported data as formula. Numbers like -12.5 are not prefixed.
+         * @accessor
+         * @cfg {Boolean} [csvEscapeFormulas=true]
+         */
+        csvEscapeFormulas: true,
+        /**
+         * File name (without extension) used by export. Defaults to the grid title.
+         * @accessor
+         * @cfg {String} [exportFileName=null]
+         */
+        exportFileName: null,
+        /**
+         * Where the print document is shown: 'window' opens a new window, 'iframe' writes
+         * the document into a hidden iframe of the current page and prints it from there,
+         * 'preview' shows it in Ext.ux.grid.PrinterPreview with paging, zoom and live options.
+         * @accessor
+         * @cfg {String} [output='window']
+         */
+        output: 'window',
+        /**
+         * True to print from a hidden iframe when the print window was blocked by a popup blocker.
+         * @accessor
+         * @cfg {Boolean} [iframeFallback=true]
+         */
+        iframeFallback: true,
+        /**
+         * True to load the print document from a Blob URL. Printing waits until its stylesheets,
+         * images and fonts are loaded. False or browsers without Blob URL navigation (IE) write
+         * the document with document.write.
+         * @accessor
+         * @cfg {Boolean} [useBlobUrl=true]
+         */
+        useBlobUrl: true,
+        /**
+         * Milliseconds to wait for the print document to load before the print fails with reason 'loadfailure'.
+         * @accessor
+         * @cfg {Number} [loadTimeout=30000]
+         */
+        loadTimeout: 30000,
+        /**
+         * Paper size of the printed page, a css page size keyword like 'A4', 'A3', 'letter'
+         * and 'legal' or explicit dimensions like '210mm 297mm'. Defaults to the browser setting.
+         * @accessor
+         * @cfg {String} [pageSize=null]
+         */
+        pageSize: null,
+        /**
+         * Orientation of the printed page, 'portrait' or 'landscape'. Defaults to the browser setting.
+         * @accessor
+         * @cfg {String} [orientation=null]
+         */
+        orientation: null,
+        /**
+         * Margins of the printed page. A css value like '1cm', a number of millimeters or an
+         * object with top, right, bottom and left. Defaults to the browser setting.
+         * @accessor
+         * @cfg {String/Number/Object} [margins=null]
+         */
+        margins: null,
+        /**
+         * True to avoid page breaks inside groups of grouped grids. Groups longer than a page still break.
+         * @accessor
+         * @cfg {Boolean} [keepGroupsTogether=false]
+         */
+        keepGroupsTogether: false,
+        /**
+         * How groups collapsed in the grid are printed: 'header' prints their group header only
+         * like the grid shows them, 'summary' the group header and the group summary and
+         * 'expand' prints them expanded.
+         * @accessor
+         * @cfg {String} [collapsedGroups='header']
+         */
+        collapsedGroups: 'header',
+        /**
+         * Nested groupers applied inside the groups of the store, outermost first. Each grouper is a
+         * field name, an Ext.util.Grouper (or its config) or a function returning the group name of
+         * a record. Every level gets its own group headers and, with a groupingsummary feature,
+         * its own subtotals.
+         *
+         *     subGroupers: ['country', function(rcd) { return rcd.get('name').charAt(0); }]
+         *
+         * @accessor
+         * @cfg {Array} [subGroupers=null]
+         */
+        subGroupers: null,
+        /**
+         * Indentation of the group headers per level of nesting in pixels, the groups of the
+         * store are not indented.
+         * @accessor
+         * @cfg {Number} [groupIndent=16]
+         */
+        groupIndent: 16,
+        /**
+         * True to split grids wider than the printable page width into bands of columns, every
+         * band is printed as its own table starting on a new page.
+         * @accessor
+         * @cfg {Boolean} [splitColumns=false]
+         */
+        splitColumns: false,
+        /**
+         * Printable width of a page in pixels used by splitColumns. Defaults to the width computed
+         * from pageSize, orientation and margins (A4 portrait with 10mm margins if not set).
+         * @accessor
+         * @cfg {Number} [pageWidth=null]
+         */
+        pageWidth: null,
+        /**
+         * Columns repeated in every band when splitColumns is enabled. An array of dataIndex, itemId
+         * or stateId values or a function called with column and grid returning true for key columns.
+         * Defaults to the locked columns and the row numberer.
+         * @accessor
+         * @cfg {String[]/Function} [keyColumns=null]
+         */
+        keyColumns: null,
+        /**
+         * Caption of the bands when a grid is split, {0} and {1} are replaced by the first and the
+         * last column of the band and {2} by the number of columns (key columns are not counted).
+         * @accessor
+         * @cfg {String} [bandCaptionText='Columns {0}&ndash;{1} of {2}']
+         */
+        bandCaptionText: 'Columns {0}&ndash;{1} of {2}',
+        /**
+         * Nodes of tree grids to print: 'visible' for the expanded nodes only, 'all' for every node
+         * or a number for all nodes up to this depth (1 for the top level nodes). Children which
+         * are not loaded yet are loaded before printing.
+         * @accessor
+         * @cfg {String/Number} [treeExpand='visible']
+         */
+        treeExpand: 'visible',
+        /**
+         * Indentation of the tree column per level of depth in pixels.
+         * @accessor
+         * @cfg {Number} [treeIndent=16]
+         */
+        treeIndent: 16,
+        /**
+         * Html printed in front of leaf nodes in the tree column, e.g. '&#8226;'.
+         * @accessor
+         * @cfg {String} [treeLeafMarker=null]
+         */
+        treeLeafMarker: null,
+        /**
+         * Html printed in front of folder nodes in the tree column, e.g. '&#9662;'.
+         * @accessor
+         * @cfg {String} [treeFolderMarker=null]
+         */
+        treeFolderMarker: null,
+        /**
+         * True to print a subtotal row after the children of every folder node. The subtotals
+         * aggregate the printed leaf nodes below the folder using the summaryType of the columns.
+         * @accessor
+         * @cfg {Boolean} [treeSubtotals=false]
+         */
+        treeSubtotals: false,
+        /**
+         * Text of the subtotal rows in the tree column, {0} is replaced by the value of the folder node.
+         * @accessor
+         * @cfg {String} [treeSubtotalText='Total {0}']
+         */
+        treeSubtotalText: 'Total {0}',
+        /**
+         * Template rendered above the table on every printed page. It is applied to an object with
+         * grid, title, recordCount, printDate, printDateText, filters (see getActiveFilters) and metadata
+         * (the printMetadata config). The title and the metadata are escaped, see getPageTplData.
+         *
+         *     pageHeaderTpl: '{title} - printed {printDateText} by {metadata.userName}'
+         *
+         * @accessor
+         * @cfg {String/Array/Ext.XTemplate} [pageHeaderTpl=null]
+         */
+        pageHeaderTpl: null,
+        /**
+         * Template rendered below the table on every printed page, gets the same data as pageHeaderTpl.
+         * @accessor
+         * @cfg {String/Array/Ext.XTemplate} [pageFooterTpl=null]
+         */
+        pageFooterTpl: null,
+        /**
+         * Arbitrary data passed as metadata to pageHeaderTpl and pageFooterTpl, for example the
+         * name of the user or a report id.
+         * @accessor
+         * @cfg {Object} [printMetadata=null]
+         */
+        printMetadata: null,
+        /**
+         * Format of printDateText passed to pageHeaderTpl and pageFooterTpl
+         * @accessor
+         * @cfg {String} [printDateFormat='Y-m-d H:i']
+         */
+        printDateFormat: 'Y-m-d H:i',
+        /**
+         * True to print page numbers into the page margin using pageNumberText and pageNumberPosition.
+         * @accessor
+         * @cfg {Boolean} [showPageNumbers=false]
+         */
+        showPageNumbers: false,
+        /**
+         * Text of the page numbers, {0} is replaced by the current page and {1} by the page count.
+         * @accessor
+         * @cfg {String} [pageNumberText='Page {0} of {1}']
+         */
+        pageNumberText: 'Page {0} of {1}',
+        /**
+         * The page margin box showing the page numbers, for example 'bottom-right' or 'top-center'.
+         * @accessor
+         * @cfg {String} [pageNumberPosition='bottom-right']
+         */
+        pageNumberPosition: 'bottom-right',
+        /**
+         * The records to print or export:
+         *
+         * - 'filtered' the records passing the store filters, as shown in the grid
+         * - 'all' every record of the store, including those removed by filters
+         * - 'selection' the selected records (also of a checkbox selection model) in store order
+         * - a function called with the grid and the printer, returning the records
+         *
+         * Grouping and summaries are computed over the chosen records. Tree and buffered stores
+         * print the visible nodes and the bufferedRange unless 'selection' or a function is used.
+         * @accessor
+         * @cfg {String/Function} [recordSource='filtered']
+         */
+        recordSource: 'filtered',
+        /**
+         * Printed for checked values of check columns and true values of boolean columns without trueText
+         * @accessor
+         * @cfg {String} [checkedText='&#9745;']
+         */
+        checkedText: '&#9745;',
+        /**
+         * Printed for unchecked values of check columns and false values of boolean columns without falseText
+         * @accessor
+         * @cfg {String} [uncheckedText='&#9744;']
+         */
+        uncheckedText: '&#9744;',
+        /**
+         * True to add the classes returned by the getRowClass function of the grid's view
+         * (viewConfig.getRowClass) to the printed rows. Style them with printCss or includeStylesheets.
+         * @accessor
+         * @cfg {Boolean} [useRowClass=true]
+         */
+        useRowClass: true,
+        /**
+         * True to print the columns with their width in the grid (or their printWidth) through
+         * col elements instead of letting the browser size them.
+         * @accessor
+         * @cfg {Boolean} [columnWidths=false]
+         */
+        columnWidths: false,
+        /**
+         * Stylesheets of the page to include in the print document, e.g. the theme and the
+         * stylesheet with the row classes and tdCls of the columns. True includes all link and
+         * style elements of the page, an array the linked stylesheets whose url contains one
+         * of the strings.
+         *
+         *     includeStylesheets: ['resources/app.css']
+         *
+         * @accessor
+         * @cfg {Boolean/String[]} [includeStylesheets=null]
+         */
+        includeStylesheets: null,
+        /**
+         * Css added to the print document after print.css, e.g. for row classes:
+         *
+         *     printCss: 'tr.negative td { color: #c00; }'
+         *
+         * @accessor
+         * @cfg {String} [printCss='']
+         */
+        printCss: '',
+        /**
+         * Number of records from which the print document is rendered in time slices of
+         * chunkTime milliseconds, firing renderProgress: the rows, group headers, row details,
+         * subtotals and summaries. True to always render in slices, false to never.
+         * The print window opens when the document is rendered. Browsers block it as the click
+         * started the print too long ago, then the iframe fallback prints automatically.
+         * @accessor
+         * @cfg {Number/Boolean} [chunkedRendering=5000]
+         */
+        chunkedRendering: 5000,
+        /**
+         * Milliseconds of rendering per time slice of chunkedRendering.
+         * @accessor
+         * @cfg {Number} [chunkTime=50]
+         */
+        chunkTime: 50,
+        /**
+         * Maximum number of records to print. Above it a warning lets users print the first
+         * maxRecords records or cancel, see maxRecordsExceeded. Null for no limit.
+         * @accessor
+         * @cfg {Number} [maxRecords=null]
+         */
+        maxRecords: null,
+        /**
+         * Title of the maxRecords warning
+         * @accessor
+         * @cfg {String} [maxRecordsTitle='Large printout']
+         */
+        maxRecordsTitle: 'Large printout',
+        /**
+         * Text of the maxRecords warning, {0} is the number of records and {1} maxRecords
+         * @accessor
+         * @cfg {String} [maxRecordsText='The printout contains {0} records. Print the first {1} records only?']
+         */
+        maxRecordsText: 'The printout contains {0} records. Print the first {1} records only?',
+        /**
+         * True to escape the field values printed without renderer and the markup of titles,
+         * column texts and renderers. Renderers returning markup need printTrustedHtml: true on
+         * the column (or the rowexpander plugin) or sanitizeHtml. Entities are kept.
+         * @accessor
+         * @cfg {Boolean} [htmlEncodeValues=true]
+         */
+        htmlEncodeValues: true,
+        /**
+         * True to clean the markup of titles, column texts and renderers with the allow list of
+         * Ext.ux.grid.Printer.sanitizeAllowList instead of escaping it, or an allow list object with
+         * tags, attributes and dropTags. Scripts, event handler attributes and javascript: urls
+         * are always removed.
+         * @accessor
+         * @cfg {Boolean/Object} [sanitizeHtml=false]
+         */
+        sanitizeHtml: false,
+        /**
+         * Nested table printed below every record, e.g. the orders of a customer. An object with:
+         *
+         * - association: the name of the association of the records (record.orders()) or a function
+         *   called with the record returning a store or an array of records
+         * - grid: config of the child grid whose columns, renderers and features are printed, or
+         *   columns: the columns only
+         * - config: printer configs for the nested tables
+         * - detail: the detail of the nested records, for more levels
+         *
+         *     detail: {
+         *         association: 'orders',
+         *         columns: [{text: 'Order', dataIndex: 'number'}, {text: 'Total', dataIndex: 'total', xtype: 'numbercolumn'}]
+         *     }
+         *
+         * @accessor
+         * @cfg {Object} [detail=null]
+         */
+        detail: null,
+        /**
+         * True to print the row bodies of the rowexpander and the detail tables only for the rows
+         * expanded in the grid.
+         * @accessor
+         * @cfg {Boolean} [expandedRowsOnly=false]
+         */
+        expandedRowsOnly: false,
+        /**
+         * Keys of the columns to print in the order to print them, see getColumnKey. Columns
+         * not listed are not printed, null prints all visible columns in grid order.
+         * @accessor
+         * @cfg {String[]} [printColumns=null]
+         */
+        printColumns: null,
+        /**
+         * False to print no summary rows, even if the grid has summary features.
+         * @accessor
+         * @cfg {Boolean} [showSummary=true]
+         */
+        showSummary: true,
+        /**
+         * True to open Ext.ux.grid.PrinterDialog before printing, users choose the columns,
+         * the records, the orientation, the title and the summaries.
+         * @accessor
+         * @cfg {Boolean} [showDialog=false]
+         */
+        showDialog: false,
+        /**
+         * True to print the active filters and sorters of the store below the mainTitle,
+         * so readers can tell the printed data is a subset.
+         * @accessor
+         * @cfg {Boolean} [showCriteria=false]
+         */
+        showCriteria: false,
+        /**
+         * The markup of the criteria block. It is applied to an object with filters (see getActiveFilters),
+         * sorters (see getActiveSorters), filterText and sortText.
+         * @accessor
+         * @cfg {String/Array/Ext.XTemplate} criteriaTpl
+         */
+        criteriaTpl: [
+            '<div class="' + Ext.baseCSSPrefix + 'ux-grid-printer-criteria">',
+            '<tpl if="filters.length">',
+            '<div><strong>{filterText}</strong> ',
+            '<tpl for="filters">{text} {operatorText} {valueText:htmlEncode}<tpl if="xindex &lt; xcount">, </tpl></tpl>',
+            '</div>',
+            '</tpl>',
+            '<tpl if="sorters.length">',
+            '<div><strong>{sortText}</strong> ',
+            '<tpl for="sorters">{text} {directionText}<tpl if="xindex &lt; xcount">, </tpl></tpl>',
+            '</div>',
+            '</tpl>',
+            '</div>'
+        ],
+        /**
+         * Label of the filters in the criteria block
+         * @accessor
+         * @cfg {String} [filterText='Filtered by:']
+         */
+        filterText: 'Filtered by:',
+        /**
+         * Label of the sorters in the criteria block
+         * @accessor
+         * @cfg {String} [sortText='Sorted by:']
+         */
+        sortText: 'Sorted by:',
+        /**
+         * Text of ascending sorters in the criteria block
+         * @accessor
+         * @cfg {String} [sortAscText='ascending']
+         */
+        sortAscText: 'ascending',
+        /**
+         * Text of descending sorters in the criteria block
+         * @accessor
+         * @cfg {String} [sortDescText='descending']
+         */
+        sortDescText: 'descending',
+        /**
+         * Texts of the filter operators in the criteria block, unknown operators are printed as they are.
+         * @accessor
+         * @cfg {Object} operatorTexts
+         */
+        operatorTexts: {
+            '<': '&lt;',
+            '<=': '&lt;=',
+            '=': '=',
+            '==': '=',
+            '===': '=',
+            '>=': '&gt;=',
+            '>': '&gt;',
+            '!=': '&ne;',
+            '!==': '&ne;',
+            lt: '&lt;',
+            le: '&lt;=',
+            eq: '=',
+            ge: '&gt;=',
+            gt: '&gt;',
+            ne: '&ne;',
+            like: 'contains',
+            'in': 'in',
+            notin: 'not in'
+        }
     },
     /**
      * Fires before actual print, return false to cancel the event.
@@ -187,16 +777,98 @@ Ext.define('Ext.ux.grid.Printer', {
      */
 
     /**
-     * Fires when the print dialog was shown either successful or not.
+     * Fires when the print dialog was shown either successful or not. Printing from the
+     * iframe fallback after a blocked popup counts as successful.
      * @event print
      * @param {Boolean} successful
      */
 
     /**
-     * Fires only when the print was successful.
+     * Fires after the print dialog was closed (the afterprint event of the print window).
      * @event afterPrint
      */
 
+    /**
+     * Fires after the records to print were gathered, before the document is rendered.
+     * Return false to cancel the print.
+     * @event beforeRender
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     */
+
+    /**
+     * Fires when more records than maxRecords would be printed, before the warning is shown.
+     * Return false to cancel printing without the warning.
+     * @event maxRecordsExceeded
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records all records to print
+     * @param {Number} maxRecords
+     */
+
+    /**
+     * Fires after every time slice of chunked rendering, see chunkedRendering.
+     * @event renderProgress
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Ext.grid.Panel} grid
+     * @param {Number} rendered progress in records, the number of records whose rows, groups
+     * and summaries are rendered
+     * @param {Number} total number of records to render
+     */
+
+    /**
+     * Fires when the records to print are available, buffered stores and tree nodes
+     * are loaded asynchronously.
+     * @event dataReady
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     */
+
+    /**
+     * Fires when the document finished loading in the print window or iframe.
+     * @event documentReady
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Window} printWindow
+     */
+
+    /**
+     * Fires after the print dialog was closed, the same time as afterPrint.
+     * @event printed
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Window} printWindow
+     */
+
+    /**
+     * Fires after each chunk of a buffered store was gathered, return false to cancel the print.
+     * @event bufferedProgress
+     * @param {Ext.ux.grid.Printer} printer
+     * @param {Number} loaded number of records gathered so far
+     * @param {Number} total number of records to gather
+     */
+
+    /**
+     * Fires when gathering the records of a buffered store was canceled.
+     * @event bufferedCancel
+     * @param {Ext.ux.grid.Printer} printer
+     */
+
+    /**
+     * Fires before the exported file is saved, return false to handle the Blob yourself.
+     * @event beforeExport
+     * @param {Blob} blob the exported file
+     * @param {String} format 'csv' or 'xlsx'
+     * @param {String} fileName
+     */
+
+    /**
+     * Fires after the exported file was handed to the browser for download.
+     * @event export
+     * @param {Blob} blob the exported file
+     * @param {String} format 'csv' or 'xlsx'
+     */
+
     /**
      * Initialize config and mixin
      * @return {undefined}
@@ -210,371 +882,2896 @@ Ext.define('Ext.ux.grid.Printer', {
     /**
      * Prints the passed grid. Reflects on the grid's column model to build a
      * table, and fills it using the store with the power of 2 XTemplate (header, body).
+     *
+     * The returned Promise resolves with a result object once the print is over, see
+     * createPrintResult. Its status is 'printed' after the print dialog was closed, 'closed'
+     * when the user closed the print window or preview without printing, 'cancelled' when the
+     * user cancelled the options dialog or the maxRecords warning and 'replaced' when the next
+     * print reused the print window. It rejects with an Error only when printing failed, its
+     * reason is 'popupblocked', 'cancelled' (by beforeRender, beforePrint, maxRecordsExceeded
+     * or bufferedProgress) or 'loadfailure'.
+     *
+     *     printer.print(grid).then(function(result) {
+     *         if (result.status === 'printed') { ... }
+     *     }, function(error) {
+     *         if (error.reason === 'popupblocked') { ... }
+     *     });
+     *
      * @param {Ext.grid.Panel} grid The grid to print
-     * @returns {undefined}
+     * @returns {Promise} undefined in browsers without Promise support
      */
     print: function(grid) {
         var me = this;
-        var store = grid.getStore();
-        var data = [];
-        var records = [];
-        var groupField, html;
 
-        //get Styles file relative location, if not supplied
-        if (me.getStylesheetPath() === null) {
-            var scriptPath = Ext.Loader.getPath('Ext.ux.grid.Printer');
-            me.setStylesheetPath(scriptPath.substring(0, scriptPath.indexOf('Printer.js')) + 'gridPrinterCss/print.css');
+        me.initStylesheetPath();
+
+        return me.createPromise(function(resolve, reject) {
+            // the choices of the dialog, used for this print only
+            var options = null;
+
+            if (me.getShowDialog()) {
+                me.showPrintDialog(grid, function(chosen) {
+                    options = chosen;
+                    _print();
+                }, _dismiss);
+            }
+            else {
+                _print();
+            }
+
+            function _print() {
+                me.withConfig(options, function() {
+                    me.collectRecords(grid, function(records) {
+                        me.fireEvent('dataReady', me, grid, records);
+                        me.limitRecords(grid, records, function(limited) {
+                            me.printGrid(grid, limited, resolve, reject, options);
+                        }, _cancel, _dismiss);
+                    }, _cancel);
+                });
+            }
+
+            function _cancel() {
+                reject(me.createPrintError('cancelled'));
+            }
+
+            function _dismiss() {
+                resolve(me.createPrintResult('cancelled'));
+            }
+        });
+    },
+    /**
+     * Passes the records to print to the callback. Above maxRecords users choose to print the
+     * first maxRecords records or to cancel.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @param {Function} callback called with the records to print
+     * @param {Function} cancel called when maxRecordsExceeded cancelled printing
+     * @param {Function} [dismiss] called when the user cancelled printing, defaults to cancel
+     */
+    limitRecords: function(grid, records, callback, cancel, dismiss) {
+        var me = this;
+        var maxRecords = me.getMaxRecords();
+
+        if (!maxRecords || records.length <= maxRecords) {
+            callback(records);
+            return;
         }
 
-        // Handle the different store types
-        if (store instanceof Ext.data.TreeStore) {
-            store.getRootNode().cascadeBy(function(node) {
-                if (node.isRoot() && !grid.rootVisible) {
+        if (me.fireEvent('maxRecordsExceeded', me, grid, records, maxRecords) === false) {
+            cancel();
+            return;
+        }
+
+        Ext.Msg.confirm(me.getMaxRecordsTitle(), Ext.String.format(me.getMaxRecordsText(), records.length, maxRecords), function(btn) {
+            if (btn === 'yes') {
+                callback(records.slice(0, maxRecords));
+            }
+            else {
+                (dismiss || cancel)();
+            }
+        });
+    },
+    /**
+     * Prints several grids, components and html snippets as sections of one document with
+     * a single print dialog. An item is a grid, another component (its rendered markup is
+     * printed) or a section object:
+     *
+     * - grid, component or html: the content of the section
+     * - title: printed above the section, grids default to their title
+     * - pageBreak: true to start the section on a new page
+     * - config: printer configs used for this section only, e.g. {showSummary: false}
+     *
+     *     printer.printAll([masterGrid, {grid: detailGrid, title: 'Positions', pageBreak: true}, {html: '<p>Signature</p>'}]);
+     *
+     * The mainTitle is printed once above all sections.
+     * @param {Array} items
+     * @returns {Promise} see print
+     */
+    printAll: function(items) {
+        var me = this;
+        var sections = me.getSections(items);
+
+        me.initStylesheetPath();
+
+        return me.createPromise(function(resolve, reject) {
+            _collect(0);
+
+            // gather the records of the grid sections one after the other
+            function _collect(idx) {
+                var section = sections[idx];
+
+                if (!section) {
+                    me.printSections(sections, resolve, reject);
                     return;
                 }
 
-                if (!node.isVisible()) {
+                if (!section.grid) {
+                    _collect(idx + 1);
                     return;
                 }
-                records.push(node);
-            }, me);
+
+                me.withConfig(section.config, function() {
+                    me.collectRecords(section.grid, function(records) {
+                        section.records = records;
+                        me.fireEvent('dataReady', me, section.grid, records);
+                        _collect(idx + 1);
+                    }, function() {
+                        reject(me.createPrintError('cancelled'));
+                    });
+                });
+            }
+        });
+    },
+    /**
+     * Normalizes the items of printAll into section objects.
+     * @param {Array} items
+     * @returns {Object[]}
+     */
+    getSections: function(items) {
+        return Ext.Array.map(Ext.Array.from(items), function(item) {
+            var section = item.isComponent ? {
+                component: item
+            } : Ext.apply({}, item);
+
+            if (section.component && section.component.isXType('tablepanel')) {
+                section.grid = section.component;
+                delete section.component;
+            }
+
+            if (section.grid && !Ext.isDefined(section.title)) {
+                section.title = section.grid.title;
+            }
+
+            return section;
+        });
+    },
+    /**
+     * Renders the sections of printAll into one document and prints it.
+     * @param {Object[]} sections the sections with the gathered records of the grids
+     * @param {Function} resolve
+     * @param {Function} reject
+     */
+    printSections: function(sections, resolve, reject) {
+        var me = this;
+        var cancelled = false;
+
+        Ext.each(sections, function(section) {
+            if (section.grid && me.fireEvent('beforeRender', me, section.grid, section.records) === false) {
+                cancelled = true;
+                return false;
+            }
+        });
+
+        if (cancelled) {
+            reject(me.createPrintError('cancelled'));
+            return;
         }
-        // when we got a buffered store we gather the data of the visible Rows
-        // and print the grid in the callback of getRange.
-        else if (store instanceof Ext.data.BufferedStore) {
-            var bufferedRenderer = grid.findPlugin('bufferedrenderer');
-            var firstVisibleRowIdx = bufferedRenderer.getFirstVisibleRowIndex();
-            var lastVisibleRowIdx = bufferedRenderer.getLastVisibleRowIndex();
-            store.getRange(firstVisibleRowIdx, lastVisibleRowIdx, {
-                callback: function(records) {
-                    me.printGrid(grid, records);
+
+        me.printHtml(me.getSectionsHtml(sections), function(config) {
+            var html;
+
+            me.withConfig(config, function() {
+                html = me.getSectionsHtml(sections);
+            });
+            return html;
+        }, null, resolve, reject);
+    },
+    /**
+     * Returns the print document of the sections of printAll.
+     * @param {Object[]} sections
+     * @returns {String}
+     */
+    getSectionsHtml: function(sections) {
+        var me = this;
+        var firstGrid = Ext.Array.findBy(sections, function(section) {
+            return !!section.grid;
+        });
+        var html = [].concat(me.getDocumentHead(me.getPageTitle(), firstGrid && firstGrid.grid), '<h1>' + me.secureHtml(me.getMainTitle()) + '</h1>');
+
+        Ext.each(sections, function(section) {
+            var cls = Ext.baseCSSPrefix + 'ux-grid-printer-section';
+
+            if (section.pageBreak) {
+                cls += ' ' + cls + '-break';
+            }
+
+            html.push('<div class="' + cls + '">');
+            if (section.title) {
+                html.push('<h2>' + me.secureHtml(section.title) + '</h2>');
+            }
+
+            me.withConfig(section.config, function() {
+                if (section.grid) {
+                    html.push(me.getSectionHtml(section.grid, section.records));
+                }
+                else if (section.component) {
+                    html.push(section.component.rendered ? section.component.getEl().dom.innerHTML : '');
+                }
+                else {
+                    html.push(section.html || '');
                 }
             });
-            return;
+            html.push('</div>');
+        });
+
+        me.destroyDetailGrids();
+        return html.concat(me.getDocumentTail()).join('');
+    },
+    /**
+     * Calls the function with the passed configs applied to the printer and restores
+     * the previous values afterwards.
+     * @param {Object} config
+     * @param {Function} fn
+     */
+    withConfig: function(config, fn) {
+        var me = this;
+        var previous = {};
+
+        Ext.Object.each(config, function(name) {
+            previous[name] = me['get' + Ext.String.capitalize(name)]();
+        });
+
+        me.setConfig(config || {});
+        try {
+            fn.call(me);
         }
-        else {
-            records = store.getRange();
+        finally {
+            me.setConfig(previous);
         }
-
-        me.printGrid(grid, records);
-        return;
     },
     /**
-     * Opens a new tab with the html content for printing.
-     * @param {Ext.grid.Panel} grid The grid to print
-     * @param {Ext.data.Model[]} records
+     * Sets the stylesheetPath relative to this file, if not supplied.
      */
-    printGrid: function(grid, records) {
+    initStylesheetPath: function() {
         var me = this;
-        var htmlMarkup = me.getHtmlMarkup(grid);
-        html = Ext.create('Ext.XTemplate', htmlMarkup).apply(records);
+        var scriptPath;
 
-        if (me.fireEvent('beforePrint', html) === false) {
-            return; // Print canceled by event
+        //get Styles file relative location, if not supplied
+        if (me.getStylesheetPath() === null) {
+            scriptPath = Ext.Loader.getPath('Ext.ux.grid.Printer');
+            me.setStylesheetPath(scriptPath.substring(0, scriptPath.indexOf('Printer.js')) + 'gridPrinterCss/print.css');
         }
+    },
+    /**
+     * Opens the print dialog and passes the chosen options to the callback.
+     * @param {Ext.grid.Panel} grid
+     * @param {Function} callback called with the options when the user confirmed them
+     * @param {Function} failure called when the dialog was closed without printing
+     */
+    showPrintDialog: function(grid, callback, failure) {
+        var me = this;
 
-        //open up a new printing window to write the html to it
-        var printWindow = window.open('', 'printgrid');
+        Ext.create('Ext.ux.grid.PrinterDialog', {
+            printer: me,
+            grid: grid,
+            listeners: {
+                confirm: function(dialog, options) {
+                    callback.call(me, options);
+                },
+                cancel: function() {
+                    failure.call(me);
+                }
+            }
+        }).show();
+    },
+    /**
+     * Creates a Promise with Ext.Promise or the browser's Promise. Without Promise
+     * support the executor is called with empty functions and undefined is returned.
+     * @param {Function} executor
+     * @returns {Promise}
+     */
+    createPromise: function(executor) {
+        var Promise = Ext.Promise || window.Promise;
 
-        if (!printWindow) {
-            me.fireEvent('print', false /*successful*/ );
-            return;
+        if (Promise) {
+            return new Promise(executor);
         }
 
-        //document must be open and closed
-        try {
-            var printDocument = printWindow.document;
-            printDocument.open();
-            printDocument.write(html);
-            printDocument.close();
-            printWindow.focus();
-
-            if (me.getPrintAutomatically()) {
-                // we must wait until the window finished loading in order to print
-                Ext.get(printWindow).addListener('load', _onPrintWindowLoad, me, {
-                    single: true
-                });
-            }
+        executor(Ext.emptyFn, Ext.emptyFn);
+    },
+    /**
+     * Creates the result a print Promise is resolved with.
+     * @param {String} status 'printed', 'closed', 'cancelled' or 'replaced', see print
+     * @param {Window} [printWindow] the print window, iframe or preview window printed from
+     * @returns {Object} with status and printWindow
+     */
+    createPrintResult: function(status, printWindow) {
+        return {
+            status: status,
+            printWindow: printWindow || null
+        };
+    },
+    /**
+     * Creates the Error a print Promise is rejected with.
+     * @param {String} reason 'popupblocked', 'cancelled' or 'loadfailure'
+     * @param {String} [message]
+     * @returns {Error} with the reason
+     */
+    createPrintError: function(reason, message) {
+        var error = new Error(message || 'Print failed: ' + reason);
+
+        error.reason = reason;
+        return error;
+    },
+    /**
+     * Gathers the records to print or export and passes them to the callback.
+     * Buffered stores are loaded asynchronously, all other stores call the
+     * callback immediately.
+     * @param {Ext.grid.Panel} grid
+     * @param {Function} callback called with the records
+     * @param {Function} [failure] called when gathering the records was canceled
+     */
+    collectRecords: function(grid, callback, failure) {
+        var me = this;
+        var store = grid.getStore();
+        var source = me.getRecordSource();
+        var records = [];
+        var maxDepth;
+
+        if (Ext.isFunction(source)) {
+            records = source.call(me, grid, me) || [];
         }
-        catch (e) {
-            me.fireEvent('print', false /*successful*/ );
+        else if (source === 'selection') {
+            records = me.getSelectedRecords(grid);
+        }
+        // Handle the different store types
+        else if (store instanceof Ext.data.TreeStore) {
+            // read now, the config of a printAll section is restored before the nodes are loaded
+            maxDepth = me.getTreeMaxDepth();
+            // collapsed branches may have to be loaded first
+            me.loadTreeNodes(grid, [], function() {
+                callback.call(me, me.getTreeRecords(grid, maxDepth));
+            }, maxDepth);
             return;
         }
+        // when we got a buffered store we gather the data of the configured range
+        // and continue once all chunks have been loaded.
+        else if (store instanceof Ext.data.BufferedStore) {
+            me.loadBufferedRecords(grid, callback, failure);
+            return;
+        }
+        else if (source === 'all' && store.isFiltered()) {
+            records = store.getData().getSource().getRange();
+        }
+        else {
+            records = store.getRange();
+        }
 
-        me.fireEvent('print', true /*successful*/ );
-        me.fireEvent('afterPrint');
-
-        /**
-         * The window finished loading, now we can print and if configured, close
-         * the window.
-         * @private
-         */
-        function _onPrintWindowLoad() {
-            printWindow.print();
+        callback.call(me, records);
+    },
+    /**
+     * Returns the maximum depth of the printed tree nodes according to treeExpand,
+     * null to print the visible nodes.
+     * @returns {Number}
+     */
+    getTreeMaxDepth: function() {
+        var treeExpand = this.getTreeExpand();
 
-            if (me.getCloseAutomaticallyAfterPrint()) {
-                (Ext.isIE) ? window.close(): printWindow.close();
-            }
+        if (treeExpand === 'all') {
+            return Number.MAX_VALUE;
         }
+
+        return Ext.isNumber(treeExpand) ? treeExpand : null;
     },
     /**
-     * Returns a set of columns which are visible and contain a dataIndex.
-     * @returns {Ext.grid.column.Column[]}
+     * Loads the children of the folder nodes which are printed according to treeExpand
+     * but not loaded yet, one node after the other. Calls the callback once all nodes
+     * are loaded.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.NodeInterface[]} failed nodes which failed to load and are skipped
+     * @param {Function} callback
+     * @param {Number} [maxDepth] the depth to load, defaults to getTreeMaxDepth
      */
-    getColumns: function(grid, isGrouped, groupField) {
-        // use the column manager to get the columns.
-        var columns = grid.columnManager.getColumns();
-        var clearColumns = [];
+    loadTreeNodes: function(grid, failed, callback, maxDepth) {
+        var me = this;
+        var store = grid.getStore();
+        var pending = [];
 
-        Ext.each(columns, _filterColumns);
-        return clearColumns;
+        maxDepth = (maxDepth === undefined) ? me.getTreeMaxDepth() : maxDepth;
 
-        // remove columns that do not contain dataIndex or dataIndex is empty.
-        // for example: columns filter or columns button
-        function _filterColumns(column) {
-            if (!column) {
+        if (maxDepth !== null) {
+            store.getRootNode().cascadeBy(function(node) {
+                if (node.getDepth() >= maxDepth || node.get('visible') === false) {
+                    return false;
+                }
+
+                if (!node.isLeaf() && !node.isLoaded() && !Ext.Array.contains(failed, node)) {
+                    pending.push(node);
+                }
+            });
+        }
+
+        _loadNode(0);
+
+        function _loadNode(idx) {
+            var node = pending[idx];
+
+            if (!node) {
+                // the loaded children may have unloaded children again
+                if (pending.length) {
+                    me.loadTreeNodes(grid, failed, callback, maxDepth);
+                }
+                else {
+                    callback.call(me);
+                }
                 return;
             }
 
-            if (!Ext.isEmpty(column.dataIndex) && !column.hidden && !isGrouped) {
-                clearColumns.push(column);
-            }
-            else if (column.xtype === 'rownumberer') {
-                if (!column.text) {
-                    column.text = 'Row';
+            store.load({
+                node: node,
+                callback: function(records, operation, success) {
+                    if (!success) {
+                        failed.push(node);
+                    }
+                    _loadNode(idx + 1);
+                }
+            });
+        }
+    },
+    /**
+     * Returns the nodes of a tree grid to print in tree order, see treeExpand.
+     * @param {Ext.tree.Panel} grid
+     * @param {Number} [maxDepth] the depth to print, defaults to getTreeMaxDepth
+     * @returns {Ext.data.NodeInterface[]}
+     */
+    getTreeRecords: function(grid, maxDepth) {
+        var records = [];
+
+        maxDepth = (maxDepth === undefined) ? this.getTreeMaxDepth() : maxDepth;
+
+        grid.getStore().getRootNode().cascadeBy(function(node) {
+            if (maxDepth === null) {
+                if (!node.isVisible()) {
+                    return;
                 }
-                clearColumns.push(column);
             }
-            else if (column.xtype === 'templatecolumn') {
-                clearColumns.push(column);
+            // filtered nodes are skipped with their children
+            else if (node.getDepth() > maxDepth || node.get('visible') === false) {
+                return false;
             }
-            else if (isGrouped &&
-                column.dataIndex !== groupField &&
-                column.xtype !== 'actioncolumn') {
-                clearColumns.push(column);
+
+            if (node.isRoot() && !grid.rootVisible) {
+                return;
             }
-        }
+            records.push(node);
+        });
+
+        return records;
     },
     /**
-     * Adds _dc-GetParam to the given url when disbaleCache-Config is true.
-     * @returns {String} url appended with dc when disbaleCache-Config is true or
-     *              only the url when disbaleCache-Config is false
+     * Returns the selected records of the grid in the order of the store.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Ext.data.Model[]}
      */
-    addDisableCache: function(url) {
-        var isDisableCache = this.getDisableCache();
+    getSelectedRecords: function(grid) {
+        var store = grid.getStore();
+        var selection = grid.getSelectionModel().getSelection().slice();
 
-        if (!isDisableCache) {
-            return url;
+        // records the store doesn't know (e.g. outside the buffered pages) keep the selection order at the end
+        return Ext.Array.sort(selection, function(a, b) {
+            var aIdx = store.indexOf(a);
+            var bIdx = store.indexOf(b);
+
+            aIdx = aIdx < 0 ? Number.MAX_VALUE : aIdx;
+            bIdx = bIdx < 0 ? Number.MAX_VALUE : bIdx;
+            return aIdx === bIdx ? 0 : (aIdx < bIdx ? -1 : 1);
+        });
+    },
+    /**
+     * Cancels gathering the records of a buffered store. The print is aborted
+     * before the next chunk is requested.
+     */
+    cancel: function() {
+        this.bufferedCanceled = true;
+    },
+    /**
+     * Returns the range of a buffered store to print according to the bufferedRange config.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Object} object with zero based, inclusive start and end
+     */
+    getBufferedRecordRange: function(grid) {
+        var range = this.getBufferedRange();
+        var lastIdx = grid.getStore().getTotalCount() - 1;
+        var bufferedRenderer;
+
+        if (range === 'all') {
+            return {
+                start: 0,
+                end: lastIdx
+            };
         }
 
-        var dc = '_dc=' + (new Date()).getTime();
-        return Ext.String.urlAppend(url, dc);
+        if (Ext.isObject(range)) {
+            return {
+                start: Math.max(range.start || 0, 0),
+                end: Ext.isDefined(range.end) ? Math.min(range.end, lastIdx) : lastIdx
+            };
+        }
+
+        bufferedRenderer = grid.findPlugin('bufferedrenderer');
+        return {
+            start: bufferedRenderer.getFirstVisibleRowIndex(),
+            end: bufferedRenderer.getLastVisibleRowIndex()
+        };
     },
     /**
-     * Retuns Html markup based of the grid data.
+     * Gathers the records of a buffered store chunk by chunk and passes them to
+     * the callback once the whole range is available. Fires bufferedProgress after
+     * each chunk and stops without calling the callback when canceled.
      * @param {Ext.grid.Panel} grid
-     * @returns {String} the generated Html
+     * @param {Function} callback called with the gathered records
+     * @param {Function} [failure] called when canceled
      */
-    getHtmlMarkup: function(grid) {
+    loadBufferedRecords: function(grid, callback, failure) {
         var me = this;
         var store = grid.getStore();
-        var isGrouped = store.isGrouped() && !!me.getFeature(grid, 'grouping');
-        var groupFeature = (isGrouped) ? me.getFeature(grid, 'grouping') : null;
-        var groupField = (isGrouped) ? feature.getGroupField() : null;
-        var columns = me.getColumns(grid, isGrouped);
-        var body = me.generateBody(grid, columns, groupFeature);
-        //use the headerTpl and bodyTpl markups to create the main XTemplate below
-        var headings = Ext.create('Ext.XTemplate', me.getHeaderTpl()).apply(columns);
-        var title = grid.title || me.getPageTitle();
-        var summaryFeature = me.getFeature(grid, 'summary');
-        var pluginsBodyMarkup = [];
-        var expanderTemplate;
+        var range = me.getBufferedRecordRange(grid);
+        var chunkSize = me.getBufferedChunkSize() || store.getPageSize();
+        var total = Math.max(range.end - range.start + 1, 0);
+        var records = [];
 
-        //add relevant plugins
-        Ext.each(grid.plugins, function(p) {
-            if (p.ptype == 'rowexpander') {
-                expanderTemplate = p.rowBodyTpl;
+        me.bufferedCanceled = false;
+        _loadChunk(range.start);
+
+        // request the next chunk or finish when the range is complete
+        function _loadChunk(start) {
+            if (start > range.end) {
+                callback.call(me, records);
+                return;
             }
-        });
 
-        if (expanderTemplate) {
-            pluginsBodyMarkup = [
-                '<tr class="{[xindex % 2 === 0 ? "even" : "odd"]}"><td colspan="' + columns.length + '">',
-                '{[ this.applyTpl(values) ]}',
-                '</td></tr>'
-            ];
+            store.getRange(start, Math.min(start + chunkSize - 1, range.end), {
+                callback: function(chunk, chunkStart, chunkEnd) {
+                    _onChunkLoaded(chunk, chunkEnd);
+                }
+            });
         }
-        return [
 
-            '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
-            '<html class="' + Ext.baseCSSPrefix + 'ux-grid-printer">',
-            '<head>',
-            '<meta content="text/html; charset=UTF-8" http-equiv="Content-Type" />',
-            '<link href="' + me.addDisableCache(me.getStylesheetPath()) + '" rel="stylesheet" type="text/css" />',
-            '<title>' + title + '</title>',
-            '</head>',
-            '<body class="' + Ext.baseCSSPrefix + 'ux-grid-printer-body">',
-            '<div class="' + Ext.baseCSSPrefix + 'ux-grid-printer-noprint ' + Ext.baseCSSPrefix + 'ux-grid-printer-links">',
-            '<a class="' + Ext.baseCSSPrefix + 'ux-grid-printer-linkprint fa-print" href="javascript:void(0);" onclick="window.print();">' + me.getPrintLinkText() + '</a>',
-            '<a class="' + Ext.baseCSSPrefix + 'ux-grid-printer-linkclose" href="javascript:void(0);" onclick="window.close();">' + me.getCloseLinkText() + '</a>',
-            '</div>',
-            '<h1>' + me.getMainTitle() + '</h1>',
+        function _onChunkLoaded(chunk, end) {
+            records.push.apply(records, chunk);
+
+            if (me.bufferedCanceled ||
+                me.fireEvent('bufferedProgress', me, records.length, total) === false) {
+                me.bufferedCanceled = false;
+                me.fireEvent('bufferedCancel', me);
+                if (failure) {
+                    failure.call(me);
+                }
+                return;
+            }
+
+            _loadChunk(end + 1);
+        }
+    },
+    /**
+     * Opens a new tab with the html content for printing.
+     * @param {Ext.grid.Panel} grid The grid to print
+     * @param {Ext.data.Model[]} records
+     * @param {Function} [resolve] called with the result of the print, see createPrintResult
+     * @param {Function} [reject] called with the Error when printing failed, see print
+     * @param {Object} [config] printer configs used for this print only, e.g. the choices of the print dialog
+     */
+    printGrid: function(grid, records, resolve, reject, config) {
+        var me = this;
+
+        resolve = resolve || Ext.emptyFn;
+        reject = reject || Ext.emptyFn;
+
+        if (me.fireEvent('beforeRender', me, grid, records) === false) {
+            reject(me.createPrintError('cancelled'));
+            return;
+        }
+
+        if (me.isChunked(records)) {
+            me.getPrintHtmlChunked(grid, records, function(html) {
+                me.withConfig(config, function() {
+                    _print(html);
+                });
+            }, config);
+        }
+        else {
+            me.withConfig(config, function() {
+                _print(me.getPrintHtml(grid, records));
+            });
+        }
+
+        function _print(html) {
+            me.printHtml(html, function(previewConfig) {
+                var html;
+
+                me.withConfig(Ext.apply({}, previewConfig, config), function() {
+                    html = me.getPrintHtml(grid, records);
+                });
+                return html;
+            }, grid, resolve, reject);
+        }
+    },
+    /**
+     * Returns true if the print document of the records is rendered in time slices, see chunkedRendering.
+     * @param {Ext.data.Model[]} records
+     * @returns {Boolean}
+     */
+    isChunked: function(records) {
+        var chunked = this.getChunkedRendering();
+
+        return chunked === true || (Ext.isNumber(chunked) && chunked > 0 && records.length >= chunked);
+    },
+    /**
+     * Shows the print document according to output and prints it.
+     * @param {String} html the print document
+     * @param {Function} generate regenerates the document with the passed configs, used by the preview
+     * @param {Ext.grid.Panel} grid the printed grid, null for several sections
+     * @param {Function} resolve called with the result of the print, see createPrintResult
+     * @param {Function} reject called with the Error when printing failed, see print
+     */
+    printHtml: function(html, generate, grid, resolve, reject) {
+        var me = this;
+        var isIframe = me.getOutput() === 'iframe';
+        var settled = false;
+        var printWindow, printFrame, url;
+
+        if (me.fireEvent('beforePrint', html) === false) {
+            reject(me.createPrintError('cancelled'));
+            return; // Print canceled by event
+        }
+
+        if (me.getOutput() === 'preview') {
+            me.showPreview(html, generate, grid, resolve, reject);
+            return;
+        }
+
+        url = me.createDocumentUrl(html);
+
+        //open up a new printing window to load the html into it
+        if (!isIframe) {
+            printWindow = window.open(url || '', 'printgrid');
+        }
+
+        // the popup was blocked or is not wanted, print from a hidden iframe
+        if (!printWindow && (isIframe || me.getIframeFallback())) {
+            printFrame = me.createPrintFrame();
+            printWindow = printFrame.dom.contentWindow;
+        }
+
+        if (!printWindow) {
+            me.revokeDocumentUrl(url);
+            me.fireEvent('print', false /*successful*/ );
+            reject(me.createPrintError('popupblocked'));
+            return;
+        }
+
+        if (!printFrame) {
+            // the print shown in the window before is over
+            Ext.ux.grid.Printer.claimPrintWindow(_onReplaced);
+        }
+
+        try {
+            if (url && printFrame) {
+                printFrame.dom.src = url;
+            }
+            else if (!url) {
+                //document must be open and closed
+                var printDocument = printWindow.document;
+                printDocument.open();
+                printDocument.write(html);
+                printDocument.close();
+            }
+
+            if (!printFrame) {
+                printWindow.focus();
+            }
+        }
+        catch (e) {
+            me.fireEvent('print', false /*successful*/ );
+            _fail(e.message);
+            return;
+        }
+
+        me.fireEvent('print', true /*successful*/ );
+        me.waitForDocument(printWindow, url, _onDocumentLoad, _fail);
+
+        if (!printFrame) {
+            _watchClose();
+        }
+
+        /**
+         * The print is over, later prints and events of the window are not reported.
+         * @private
+         */
+        function _settle() {
+            settled = true;
+            Ext.ux.grid.Printer.releasePrintWindow(_onReplaced);
+        }
+
+        /**
+         * Resolves with status 'closed' when the user closes the print window without printing.
+         * @private
+         */
+        function _watchClose() {
+            if (settled) {
+                return;
+            }
+
+            if (printWindow.closed) {
+                _settle();
+                me.revokeDocumentUrl(url);
+                resolve(me.createPrintResult('closed', printWindow));
+            }
+            else {
+                Ext.defer(_watchClose, 250);
+            }
+        }
+
+        /**
+         * The next print reused the print window, resolves with status 'replaced'.
+         * @private
+         */
+        function _onReplaced() {
+            if (settled) {
+                return;
+            }
+
+            _settle();
+            me.revokeDocumentUrl(url);
+            resolve(me.createPrintResult('replaced', printWindow));
+        }
+
+        /**
+         * The document, its stylesheets and images finished loading, wait for its fonts.
+         * @private
+         */
+        function _onDocumentLoad() {
+            var fonts;
+
+            if (settled) {
+                return;
+            }
+
+            fonts = printWindow.document.fonts;
+            me.revokeDocumentUrl(url);
+            if (fonts && fonts.ready && fonts.ready.then) {
+                fonts.ready.then(_onDocumentReady, _onDocumentReady);
+            }
+            else {
+                _onDocumentReady();
+            }
+        }
+
+        /**
+         * The document couldn't be written or didn't load.
+         * @private
+         */
+        function _fail(message) {
+            if (settled) {
+                return;
+            }
+
+            _settle();
+            me.revokeDocumentUrl(url);
+            if (printFrame) {
+                printFrame.destroy();
+            }
+
+            if (printWindow.closed) {
+                resolve(me.createPrintResult('closed', printWindow));
+            }
+            else {
+                reject(me.createPrintError('loadfailure', message));
+            }
+        }
+
+        /**
+         * The document finished loading, a hidden iframe is always printed automatically.
+         * @private
+         */
+        function _onDocumentReady() {
+            if (settled) {
+                return;
+            }
+
+            me.fireEvent('documentReady', me, printWindow);
+
+            if ('onafterprint' in printWindow) {
+                printWindow.addEventListener('afterprint', _onAfterPrint);
+            }
+
+            if (printFrame || me.getPrintAutomatically()) {
+                printWindow.focus();
+                printWindow.print();
+
+                if (!('onafterprint' in printWindow)) {
+                    // print() blocks until the dialog is closed in browsers without afterprint
+                    _onAfterPrint();
+                }
+            }
+        }
+
+        /**
+         * The print dialog was closed, now we can resolve and if configured, close
+         * the window. An iframe is removed. Later prints from the window are not reported.
+         * @private
+         */
+        function _onAfterPrint() {
+            if (settled) {
+                return;
+            }
+
+            _settle();
+            me.fireEvent('printed', me, printWindow);
+            me.fireEvent('afterPrint');
+            resolve(me.createPrintResult('printed', printWindow));
+
+            if (printFrame) {
+                // leave the frame until the browser finished spooling the document
+                Ext.defer(printFrame.destroy, 100, printFrame);
+            }
+            else if (me.getCloseAutomaticallyAfterPrint()) {
+                (Ext.isIE) ? window.close(): printWindow.close();
+            }
+        }
+    },
+    /**
+     * Returns the print document of the records.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @returns {String}
+     */
+    getPrintHtml: function(grid, records) {
+        var html = Ext.create('Ext.XTemplate', this.getHtmlMarkup(grid)).apply(records);
+
+        this.destroyDetailGrids();
+        return html;
+    },
+    /**
+     * Renders the print document in time slices and passes it to the callback. Each slice
+     * runs the steps of the tables (rows, group headers, row details and summaries, see
+     * getTableSteps) for chunkTime milliseconds and fires renderProgress.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @param {Function} callback called with the print document
+     * @param {Object} [config] printer configs applied while rendering, see printGrid
+     */
+    getPrintHtmlChunked: function(grid, records, callback, config) {
+        var me = this;
+        var members, steps;
+        var parts = [];
+        var index = 0;
+        var html;
+
+        me.withConfig(config, function() {
+            members = me.getBodyMembers(grid);
+            steps = members.getRenderSteps(records);
+        });
+        _renderSlice();
+
+        function _renderSlice() {
+            var end = Ext.Date.now() + me.getChunkTime();
+
+            me.withConfig(config, function() {
+                while (index < steps.length) {
+                    parts.push(me.renderStep(steps[index]));
+                    index++;
+                    if (Ext.Date.now() >= end) {
+                        break;
+                    }
+                }
+            });
+
+            // the progress of the steps in records
+            me.fireEvent('renderProgress', me, grid, Math.round(records.length * index / steps.length), records.length);
+
+            if (index < steps.length) {
+                // let the browser handle events and repaint between the slices
+                Ext.defer(_renderSlice, 1);
+            }
+            else {
+                members.tablesHtml = parts.join('');
+                me.withConfig(config, function() {
+                    html = Ext.create('Ext.XTemplate', me.getHtmlMarkup(grid, members)).apply(records);
+                });
+                me.destroyDetailGrids();
+                callback(html);
+            }
+        }
+    },
+    /**
+     * Returns the content of a grid without the surrounding document: the criteria and the tables.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @returns {String}
+     */
+    getSectionHtml: function(grid, records) {
+        return Ext.create('Ext.XTemplate', '{[ this.criteriaHtml ]}{[ this.renderTables(values) ]}', this.getBodyMembers(grid)).apply(records);
+    },
+    /**
+     * Shows the print document in Ext.ux.grid.PrinterPreview, printing starts with its print button.
+     * @param {String} html the print document
+     * @param {Function} generate regenerates the document when options change
+     * @param {Ext.grid.Panel} grid the printed grid, null for several sections
+     * @param {Function} resolve called with the result of the print, status 'closed' when the
+     * preview was closed without printing
+     * @param {Function} reject
+     */
+    showPreview: function(html, generate, grid, resolve, reject) {
+        var me = this;
+
+        Ext.create('Ext.ux.grid.PrinterPreview', {
+            printer: me,
+            grid: grid,
+            generate: generate,
+            html: html,
+            listeners: {
+                documentReady: function(preview, printWindow) {
+                    me.fireEvent('documentReady', me, printWindow);
+                },
+                printed: function(preview, printWindow) {
+                    me.fireEvent('printed', me, printWindow);
+                    me.fireEvent('afterPrint');
+                    resolve(me.createPrintResult('printed', printWindow));
+                },
+                cancel: function() {
+                    resolve(me.createPrintResult('closed'));
+                }
+            }
+        }).show();
+
+        me.fireEvent('print', true /*successful*/ );
+    },
+    /**
+     * Creates the hidden iframe used when output is 'iframe' or the popup was blocked.
+     * @returns {Ext.dom.Element}
+     */
+    createPrintFrame: function() {
+        return Ext.getBody().createChild({
+            tag: 'iframe',
+            cls: Ext.baseCSSPrefix + 'ux-grid-printer-frame',
+            style: 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;',
+            'aria-hidden': 'true'
+        });
+    },
+    /**
+     * Returns a Blob URL of the print document, see useBlobUrl.
+     * @param {String} html the print document
+     * @returns {String} null if the document is written with document.write
+     */
+    createDocumentUrl: function(html) {
+        var URL = window.URL || window.webkitURL;
+
+        // IE denies the navigation to Blob URLs
+        if (!this.getUseBlobUrl() || !window.Blob || !URL || !URL.createObjectURL || Ext.isIE) {
+            return null;
+        }
+
+        return URL.createObjectURL(new Blob([html], {
+            type: 'text/html;charset=utf-8'
+        }));
+    },
+    /**
+     * Releases a Blob URL of createDocumentUrl.
+     * @param {String} url
+     */
+    revokeDocumentUrl: function(url) {
+        var URL = window.URL || window.webkitURL;
+
+        if (url) {
+            URL.revokeObjectURL(url);
+        }
+    },
+    /**
+     * Calls the callback when the print document in the window finished loading including its
+     * stylesheets and images. The window's load event is lost when the document replaces the
+     * initial empty document, so its readyState is polled.
+     * @param {Window} printWindow
+     * @param {String} url the Blob URL of the document, null for a written document
+     * @param {Function} callback
+     * @param {Function} failure called with the message after loadTimeout
+     */
+    waitForDocument: function(printWindow, url, callback, failure) {
+        var me = this;
+        var timeout = Ext.Date.now() + me.getLoadTimeout();
+
+        _check();
+
+        function _check() {
+            var printDocument;
+
+            try {
+                printDocument = printWindow.document;
+            }
+            catch (e) {
+                // the window was navigated away or closed
+                failure(e.message);
+                return;
+            }
+
+            if (printDocument && printDocument.readyState === 'complete' && printDocument.body && printDocument.body.firstChild &&
+                (!url || printDocument.URL === url)) {
+                callback();
+            }
+            else if (printWindow.closed || Ext.Date.now() > timeout) {
+                failure('The print document did not load');
+            }
+            else {
+                Ext.defer(_check, 50);
+            }
+        }
+    },
+    /**
+     * Exports the passed grid as CSV or XLSX file. Uses the same columns, renderers
+     * and summaries as print. Renderer markup is stripped from the cells, numbers and
+     * dates keep their type in XLSX files.
+     * @param {Ext.grid.Panel} grid The grid to export
+     * @param {String} [format='csv'] 'csv' or 'xlsx'
+     * @param {String} [fileName] file name without extension, defaults to exportFileName
+     */
+    'export': function(grid, format, fileName) {
+        var me = this;
+        var exporter = Ext.ux.grid.PrinterExporter;
+        // titles may contain markup, sheet and file names are plain text
+        var title = grid.title ? me.toPlainText(grid.title) : '';
+
+        format = (format || 'csv').toLowerCase();
+        fileName = (fileName || me.getExportFileName() || title || 'export') + '.' + format;
+
+        me.collectRecords(grid, function(records) {
+            var rows = me.getExportRows(grid, records);
+            var blob = (format === 'xlsx') ?
+                exporter.toXlsx(rows, title) :
+                exporter.toCsv(rows, me.getCsvSeparator(), me.getCsvEscapeFormulas());
+
+            if (me.fireEvent('beforeExport', blob, format, fileName) === false) {
+                return; // Saving handled by the event
+            }
+
+            exporter.save(blob, fileName);
+            me.fireEvent('export', blob, format);
+        });
+    },
+    /**
+     * Returns the rows of an export: column headings, group headers, records and
+     * summaries as plain text together with the typed values.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @returns {Object[]} rows as expected by Ext.ux.grid.PrinterExporter
+     */
+    getExportRows: function(grid, records) {
+        var me = this;
+        var store = grid.getStore();
+        var groupFeature = me.getGroupFeature(grid);
+        var isGrouped = !!groupFeature;
+        var columns = me.getColumns(grid, isGrouped, isGrouped ? groupFeature.getGroupField() : null);
+        var summaryFeature = me.getShowSummary() && me.getFeature(grid, 'summary');
+        var groupingSummaryFeature = me.getShowSummary() && me.getFeature(grid, 'groupingsummary');
+        var rows = [];
+        var cells = [];
+
+        Ext.each(columns, function(column) {
+            var text = me.toPlainText(me.getColumnText(column));
+            cells.push({
+                value: text,
+                text: text
+            });
+        });
+        rows.push({
+            type: 'header',
+            cells: cells
+        });
+
+        if (isGrouped) {
+            Ext.each(me.groupRecords(grid, records), function(group) {
+                // the export has all rows, collapsing groups is a print option
+                Ext.each(me.getGroupParts(group, null, true), function(part) {
+                    var text;
+
+                    if (part.type === 'header') {
+                        text = me.toPlainText(me.renderGroupHeader(grid, groupFeature, part.group.name, part.group.children, part.group.property, true));
+                        rows.push({
+                            type: 'group',
+                            cells: [{
+                                value: text,
+                                text: text
+                            }]
+                        });
+                    }
+                    else if (part.type === 'rows') {
+                        _addRecords(part.group.children);
+                    }
+                    else if (groupingSummaryFeature && groupingSummaryFeature.showSummaryRow) {
+                        _addSummary(part.group.children);
+                    }
+                });
+            });
+        }
+        else {
+            _addRecords(records);
+        }
+
+        if (summaryFeature) {
+            _addSummary(records);
+        }
+
+        return rows;
+
+        function _addRecords(rcds) {
+            Ext.each(rcds, function(rcd) {
+                var cells = [];
+
+                Ext.each(columns, function(column, colIdx) {
+                    var value = column.dataIndex ? rcd.get(column.dataIndex) : undefined;
+                    var meta = me.getMeta(column, value, rcd, colIdx + 1, store);
+                    var text = me.toPlainText(me.renderCellValue(grid, column, value, rcd, colIdx + 1, meta, true));
+                    var isTyped = (Ext.isNumber(value) || Ext.isDate(value)) && column.xtype !== 'templatecolumn';
+
+                    cells.push({
+                        value: isTyped ? value : text,
+                        text: text
+                    });
+                });
+                rows.push({
+                    type: 'data',
+                    cells: cells
+                });
+            });
+        }
+
+        function _addSummary(rcds) {
+            var cells = [];
+            var summaryData = {};
+
+            Ext.each(columns, function(column) {
+                summaryData[column.getItemId()] = me.aggregateRecords(rcds, column.summaryType, column.dataIndex);
+            });
+
+            Ext.each(columns, function(column, colIdx) {
+                var value = summaryData[column.getItemId()];
+                var text = value;
+
+                if (column.summaryRenderer) {
+                    text = me.callSummaryRenderer(column, value, summaryData, me.getMeta(column, value, null, colIdx + 1, store));
+                }
+
+                text = me.toPlainText(text);
+                cells.push({
+                    value: Ext.isNumber(value) ? value : text,
+                    text: text
+                });
+            });
+            rows.push({
+                type: 'summary',
+                cells: cells
+            });
+        }
+    },
+    /**
+     * Returns the value of a cell as rendered by the column's printRenderer, template or renderer.
+     * Field values and renderer markup are escaped or sanitized, see htmlEncodeValues.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column
+     * @param {Object} value the raw value of the field
+     * @param {Ext.data.Model} rcd
+     * @param {Number} col one based column index
+     * @param {Object} meta the meta object passed to the renderer
+     * @param {Boolean} [plain] true if the markup is stripped from the value, renderer markup isn't escaped
+     * @returns {String}
+     */
+    renderCellValue: function(grid, column, value, rcd, col, meta, plain) {
+        var store = grid.getStore();
+        var view = this.getColumnView(grid, column);
+        var lockedCls = this.getLockedCls(grid, column);
+        var handler = this.getColumnHandler(column);
+        var rendered = true;
+        var trusted = false;
+        var renderer;
+
+        // a printRenderer replaces the template and the renderer of the column
+        if (column.printRenderer) {
+            renderer = Ext.isString(column.printRenderer) ? Ext.util.Format[column.printRenderer] : column.printRenderer;
+            value = renderer.call(column.scope || grid, value, meta, rcd, -1, col - 1, store, view);
+        }
+        else if (handler && (column.usingDefaultRenderer || !column.renderer)) {
+            value = handler.call(this, value, meta, rcd, column, grid);
+            trusted = true;
+        }
+        else if (column.xtype == 'templatecolumn') {
+            value = column.tpl ? column.tpl.apply(rcd.data) : value;
+        }
+        else if (column.renderer) {
+            if (column instanceof Ext.tree.Column) {
+                // only the renderer of the column, the tree markup is replaced by renderTreeCell
+                renderer = column.innerRenderer || column.origRenderer;
+                if (renderer) {
+                    value = renderer.call(column.rendererScope || column.origScope || grid, value, meta, rcd, -1, col - 1, store, view);
+                }
+                else {
+                    rendered = false;
+                }
+            }
+            else {
+                // default renderers of the column types read their config from the column
+                value = column.renderer.call(column.usingDefaultRenderer ? column : (column.scope || grid), value, meta, rcd, -1, col - 1, store, view);
+            }
+        }
+        else {
+            rendered = false;
+        }
+
+        // the markup of handlers is trusted, plain text output strips the markup anyway
+        if (!rendered) {
+            value = this.encodeValue(value);
+        }
+        else if (!trusted && !plain) {
+            value = this.secureHtml(value, column.printTrustedHtml);
+        }
+
+        if (lockedCls) {
+            meta.tdCls = meta.tdCls ? meta.tdCls + ' ' + lockedCls : lockedCls;
+        }
+
+        // the tdCls of the column styles the cells like in the grid
+        if (column.tdCls) {
+            meta.tdCls = meta.tdCls ? column.tdCls + ' ' + meta.tdCls : column.tdCls;
+        }
+
+        if (column instanceof Ext.tree.Column && rcd.isNode) {
+            value = this.renderTreeCell(grid, value, rcd);
+        }
+
+        return value;
+    },
+    /**
+     * Returns the handler of the column type from columnHandlers, see registerColumnHandler.
+     * @param {Ext.grid.column.Column} column
+     * @returns {Function} undefined for types without handler
+     */
+    getColumnHandler: function(column) {
+        var handlers = Ext.ux.grid.Printer.columnHandlers;
+        var xtypes = column.getXTypes().split('/');
+        var i;
+
+        // the most specific type first
+        for (i = xtypes.length - 1; i >= 0; i--) {
+            if (handlers.hasOwnProperty(xtypes[i])) {
+                return handlers[xtypes[i]];
+            }
+        }
+    },
+    /**
+     * Returns a snapshot of the widget of a widget column: an SVG bar for progress bars,
+     * an SVG chart for line, discrete, bar and tristate sparklines and the text of the
+     * value for other widgets.
+     * @param {Ext.grid.column.Widget} column
+     * @param {Object} value the value bound to the widget
+     * @returns {String}
+     */
+    renderWidgetValue: function(column, value) {
+        var xtype = (column.widget && column.widget.xtype) || '';
+        var width = Math.max(this.getPrintColumnWidth(column) - 10, 20);
+        var height = 14;
+        var svg = '<svg xmlns="http://www.w3.org/2000/svg" class="' + Ext.baseCSSPrefix + 'ux-grid-printer-widget" width="' + width + '" height="' + height + '">';
+        var min, max, step;
+
+        if (/progress/.test(xtype) && Ext.isNumber(value)) {
+            return svg +
+                '<rect width="' + width + '" height="' + height + '" fill="none" stroke="#99bbe8" />' +
+                '<rect width="' + Math.round(width * Ext.Number.constrain(value, 0, 1)) + '" height="' + height + '" fill="#99bbe8" />' +
+                '</svg> ' + Math.round(value * 100) + '%';
+        }
+
+        if (/^sparkline(line|discrete|bar|tristate)$/.test(xtype) && Ext.isArray(value) && value.length) {
+            min = Math.min(Ext.Array.min(value), 0);
+            max = Math.max(Ext.Array.max(value), min + 1);
+            step = width / value.length;
+
+            if (/line|discrete/.test(xtype)) {
+                return svg + '<polyline fill="none" stroke="#3366cc" points="' + Ext.Array.map(value, function(v, idx) {
+                    return Math.round((idx + 0.5) * step) + ',' + Math.round(height - (v - min) / (max - min) * height);
+                }).join(' ') + '" /></svg>';
+            }
+
+            return svg + Ext.Array.map(value, function(v, idx) {
+                var zero = height - (0 - min) / (max - min) * height;
+                var y = height - (v - min) / (max - min) * height;
+
+                return '<rect x="' + Math.round(idx * step) + '" y="' + Math.round(Math.min(y, zero)) + '" width="' + Math.max(Math.floor(step) - 1, 1) +
+                    '" height="' + Math.max(Math.round(Math.abs(zero - y)), 1) + '" fill="' + (v < 0 ? '#cc3333' : '#3366cc') + '" />';
+            }).join('') + '</svg>';
+        }
+
+        return this.encodeValue(Ext.isArray(value) ? value.join(', ') : value);
+    },
+    /**
+     * Indents the value of the tree column by the depth of the node and adds the leaf or folder marker.
+     * @param {Ext.tree.Panel} grid
+     * @param {String} value the rendered value
+     * @param {Ext.data.NodeInterface} node
+     * @returns {String}
+     */
+    renderTreeCell: function(grid, value, node) {
+        var me = this;
+        var depth = Math.max(node.getDepth() - (grid.rootVisible ? 0 : 1), 0);
+        var marker = node.isLeaf() ? me.getTreeLeafMarker() : me.getTreeFolderMarker();
+        var html = '<div class="' + Ext.baseCSSPrefix + 'ux-grid-printer-tree-node" style="padding-' + (me.isRtl(grid) ? 'right' : 'left') + ': ' + (depth * me.getTreeIndent()) + 'px;">';
+
+        if (marker) {
+            html += '<span class="' + Ext.baseCSSPrefix + 'ux-grid-printer-tree-marker">' + marker + '</span> ';
+        }
+
+        return html + (Ext.isEmpty(value) ? '&nbsp;' : value) + '</div>';
+    },
+    /**
+     * Returns the folder nodes whose subtotal rows follow the printed nodes. The subtotal
+     * of a folder is printed after its last printed descendant, inner folders first.
+     * @param {Ext.data.NodeInterface[]} records the printed nodes in tree order
+     * @returns {Object} map of internalId to an array of objects with node and children (the printed leaves)
+     */
+    getTreeSubtotalMap: function(records) {
+        var subtotals = {};
+        var open = [];
+        var previous;
+
+        // closes the folders which aren't ancestors of the passed node
+        function _close(node) {
+            var folder;
+
+            while (open.length && !(node && open[open.length - 1].node.contains(node))) {
+                folder = open.pop();
+                if (folder.children.length) {
+                    subtotals[previous.internalId] = subtotals[previous.internalId] || [];
+                    subtotals[previous.internalId].push(folder);
+                }
+            }
+        }
+
+        Ext.each(records, function(node) {
+            _close(node);
+
+            if (node.isLeaf()) {
+                Ext.each(open, function(folder) {
+                    folder.children.push(node);
+                });
+            }
+            else {
+                open.push({
+                    node: node,
+                    children: []
+                });
+            }
+            previous = node;
+        });
+        _close(null);
+
+        return subtotals;
+    },
+    /**
+     * Returns the values of a summary row by the item id of the columns, the summaryData
+     * Ext passes to summaryRenderer.
+     * @param {Ext.grid.column.Column[]} columns
+     * @param {Ext.data.Model} summaryRecord the record holding the summary values by dataIndex
+     * @returns {Object}
+     */
+    getSummaryData: function(columns, summaryRecord) {
+        var summaryData = {};
+
+        Ext.each(columns, function(column) {
+            summaryData[column.getItemId()] = summaryRecord.get(column.dataIndex);
+        });
+
+        return summaryData;
+    },
+    /**
+     * Calls the summaryRenderer of a column with the arguments of Ext.grid.feature.AbstractSummary:
+     * the value, the summaryData of the row, the dataIndex and the meta data.
+     * @param {Ext.grid.column.Column} column
+     * @param {Object} value
+     * @param {Object} summaryData see getSummaryData
+     * @param {Object} meta
+     * @returns {String}
+     */
+    callSummaryRenderer: function(column, value, summaryData, meta) {
+        return column.summaryRenderer(value, summaryData, column.dataIndex || column.getItemId(), meta);
+    },
+    /**
+     * Returns the subtotal row of a folder node, see treeSubtotals.
+     * @param {Ext.tree.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns
+     * @param {Ext.data.NodeInterface} node the folder node
+     * @param {Ext.data.NodeInterface[]} children the printed leaves below the folder
+     * @returns {String}
+     */
+    renderTreeSubtotal: function(grid, columns, node, children) {
+        var me = this;
+        var store = grid.getStore();
+        var html = '<tr class="' + Ext.baseCSSPrefix + 'ux-grid-printer-tree-subtotal">';
+        var summaryData = {};
+
+        Ext.each(columns, function(column) {
+            summaryData[column.getItemId()] = me.aggregateRecords(children, column.summaryType, column.dataIndex);
+        });
+
+        Ext.each(columns, function(column, idx) {
+            var value = summaryData[column.getItemId()];
+            var meta = me.getMeta(column, value, node, idx + 1, store);
+
+            if (column instanceof Ext.tree.Column) {
+                value = me.renderTreeCell(grid, Ext.String.format(me.getTreeSubtotalText(), me.encodeValue(node.get(column.dataIndex))), node);
+            }
+            else if (column.summaryType && column.summaryRenderer) {
+                value = me.secureHtml(me.callSummaryRenderer(column, value, summaryData, meta), column.printTrustedHtml);
+            }
+            else {
+                value = me.encodeValue(value);
+            }
+            html += me.getHtml(value, meta);
+        });
+
+        return html + '</tr>';
+    },
+    /**
+     * Renders the group header template of the grouping feature for one group.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.feature.Grouping} groupFeature
+     * @param {String} groupName
+     * @param {Ext.data.Model[]} children the records of the group
+     * @param {String} [groupField] the grouped field, defaults to the group field of the store
+     * @returns {String}
+     */
+    renderGroupHeader: function(grid, groupFeature, groupName, children, groupField, plain) {
+        var me = this;
+        var store = grid.getStore();
+
+        groupField = groupField || groupFeature.getGroupField();
+        var groupColumn = Ext.Array.findBy(me.getGridColumns(grid), function(col) {
+            return col.dataIndex == groupField;
+        });
+        var data = {
+            name: me.encodeValue(groupName),
+            children: children,
+            groupField: groupField,
+            groupValue: groupName,
+            columnName: me.secureHtml(groupColumn ? me.getColumnText(groupColumn) : groupField),
+            renderedGroupValue: me.encodeValue(groupName)
+        };
+        var meta = {
+            'align': '',
+            'cellIndex': -1,
+            'classes': [],
+            'column': groupColumn,
+            'css': '',
+            'innerCls': '',
+            'record': children[0],
+            'recordIndex': store.indexOf(children[0]),
+            'style': '',
+            'tdAttr': '',
+            'tdCls': '',
+            'unselectableAttr': 'unselectable="on"',
+            'value': groupName
+        };
+
+        if (groupColumn && groupColumn.renderer) {
+            data.renderedGroupValue = groupColumn.renderer.call(grid, groupName, meta, children[0], -1, -1, store, grid.getView());
+            if (!plain) {
+                data.renderedGroupValue = me.secureHtml(data.renderedGroupValue, groupColumn.printTrustedHtml);
+            }
+        }
+
+        //data.rows = null;  // We don't support rows yet
+        return Ext.XTemplate.getTpl(groupFeature, 'groupHeaderTpl').apply(data);
+    },
+    /**
+     * Splits the records into the groups of the store's grouper and the nested groups of
+     * subGroupers. Groups keep the order in which they first appear in the records. Groups
+     * of the store collapsed in the grid are marked as collapsed.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records
+     * @returns {Object[]} groups with name, children, level, property, collapsed and the nested groups
+     */
+    groupRecords: function(grid, records) {
+        var me = this;
+        var groupFeature = me.getGroupFeature(grid);
+        var groupers = [me.getGrouperFn(grid.getStore().getGrouper())].concat(Ext.Array.map(me.getSubGroupers() || [], me.getGrouperFn, me));
+
+        return _groupLevel(records, 0);
+
+        function _groupLevel(rcds, level) {
+            var grouper = groupers[level];
+            var groups = [];
+            var groupMap = {};
+
+            Ext.each(rcds, function(rcd) {
+                var name = grouper.fn(rcd);
+                var group = groupMap[name];
+
+                if (!group) {
+                    group = groupMap[name] = {
+                        name: name,
+                        children: [],
+                        level: level,
+                        property: grouper.property,
+                        // the grid knows the collapsed state of the outermost groups only
+                        collapsed: level === 0 && !!groupFeature && Ext.isFunction(groupFeature.isExpanded) && !groupFeature.isExpanded(name)
+                    };
+                    groups.push(group);
+                }
+                group.children.push(rcd);
+            });
+
+            if (groupers[level + 1]) {
+                Ext.each(groups, function(group) {
+                    group.groups = _groupLevel(group.children, level + 1);
+                });
+            }
+
+            return groups;
+        }
+    },
+    /**
+     * Normalizes a grouper of subGroupers or the store.
+     * @param {String/Function/Object/Ext.util.Grouper} grouper
+     * @returns {Object} property (undefined for functions) and fn returning the group name of a record
+     */
+    getGrouperFn: function(grouper) {
+        if (Ext.isString(grouper)) {
+            return {
+                property: grouper,
+                fn: function(rcd) {
+                    return rcd.get(grouper);
+                }
+            };
+        }
+
+        if (Ext.isFunction(grouper)) {
+            return {
+                fn: grouper
+            };
+        }
+
+        if (!grouper.isGrouper) {
+            grouper = new Ext.util.Grouper(grouper);
+        }
+
+        return {
+            property: grouper.getProperty(),
+            fn: function(rcd) {
+                return grouper.getGroupString(rcd);
+            }
+        };
+    },
+    /**
+     * Returns the parts a group is printed with in order: the headers, rows and summaries
+     * of the group and its nested groups, see collapsedGroups.
+     * @param {Object} group a group of groupRecords
+     * @param {Object[]} [parts] the array to add the parts to
+     * @param {Boolean} [expanded] true to ignore the collapsed state of the groups, all rows are returned
+     * @returns {Object[]} parts with type ('header', 'rows' or 'summary'), group and level, rows
+     * parts with the records and their offset
+     */
+    getGroupParts: function(group, parts, expanded) {
+        var me = this;
+        var collapsedGroups = me.getCollapsedGroups();
+
+        parts = parts || [];
+        parts.push({
+            type: 'header',
+            group: group,
+            level: group.level
+        });
+
+        if (group.collapsed && !expanded && collapsedGroups !== 'expand') {
+            if (collapsedGroups === 'summary') {
+                parts.push({
+                    type: 'summary',
+                    group: group,
+                    level: group.level
+                });
+            }
+            return parts;
+        }
+
+        if (group.groups) {
+            Ext.each(group.groups, function(subGroup) {
+                me.getGroupParts(subGroup, parts, expanded);
+            });
+        }
+        else {
+            parts.push({
+                type: 'rows',
+                group: group,
+                level: group.level,
+                // the printed rows, offset is the index of the first one in the group
+                records: group.children,
+                offset: 0
+            });
+        }
+
+        // subtotals of nested groups come before the total of their parent
+        parts.push({
+            type: 'summary',
+            group: group,
+            level: group.level
+        });
+
+        return parts;
+    },
+    /**
+     * Aggregates a field over the passed records the way the summary features do.
+     * @param {Ext.data.Model[]} records
+     * @param {String/Function} type count, min, max, sum, average or a function
+     * which is called with the records and the values of the field
+     * @param {String} field
+     * @returns {Number/String}
+     */
+    aggregateRecords: function(records, type, field) {
+        var values = [];
+
+        if (!type) {
+            return;
+        }
+
+        for (var i = 0; i < records.length; i++) {
+            values.push(records[i].get(field));
+        }
+
+        if (Ext.isFunction(type)) {
+            return type(records, values);
+        }
+
+        switch (type) {
+            case 'count':
+                return records.length;
+            case 'min':
+                return Ext.Array.min(values);
+            case 'max':
+                return Ext.Array.max(values);
+            case 'sum':
+                return Ext.Array.sum(values);
+            case 'average':
+                return values.length ? Ext.Array.sum(values) / values.length : 0;
+            default:
+                return '';
+        }
+    },
+    /**
+     * Strips the markup of rendered html and decodes its entities.
+     * @param {String} html
+     * @returns {String}
+     */
+    toPlainText: function(html) {
+        if (Ext.isEmpty(html)) {
+            return '';
+        }
+
+        html = Ext.util.Format.stripTags(String(html)).replace(/&nbsp;|&#160;/g, ' ');
+        return Ext.String.trim(Ext.util.Format.htmlDecode(html));
+    },
+    /**
+     * Escapes a field value printed without renderer, see htmlEncodeValues.
+     * @param {Object} value
+     * @returns {Object} the escaped value, empty values and values other than strings are returned as they are
+     */
+    encodeValue: function(value) {
+        if (!this.getHtmlEncodeValues() || Ext.isEmpty(value) || Ext.isNumber(value) || Ext.isDate(value) || Ext.isBoolean(value)) {
+            return value;
+        }
+
+        return Ext.util.Format.htmlEncode(String(value));
+    },
+    /**
+     * Makes markup of titles, column texts and renderers safe to print: sanitized when sanitizeHtml
+     * is set, else escaped when htmlEncodeValues is true. The entities of the markup are kept.
+     * @param {String} html
+     * @param {Boolean} [trusted] true to print the markup as it is
+     * @returns {String}
+     */
+    secureHtml: function(html, trusted) {
+        var me = this;
+
+        if (trusted || Ext.isEmpty(html) || !Ext.isString(html)) {
+            return html;
+        }
+
+        if (me.getSanitizeHtml()) {
+            return me.sanitize(html);
+        }
+
+        if (me.getHtmlEncodeValues()) {
+            // decoding first keeps the entities and the text of already escaped markup
+            return Ext.util.Format.htmlEncode(Ext.util.Format.htmlDecode(html.replace(/&nbsp;/g, '&#160;')));
+        }
+
+        return html;
+    },
+    /**
+     * Removes the tags and attributes not in the allow list of sanitizeHtml, event handler
+     * attributes and javascript: urls from markup. The markup is parsed in an inert document,
+     * its scripts don't run and its images don't load.
+     * @param {String} html
+     * @returns {String}
+     */
+    sanitize: function(html) {
+        var allowList = this.getSanitizeHtml();
+        var container = document.implementation.createHTMLDocument('').createElement('div');
+
+        if (!Ext.isObject(allowList)) {
+            allowList = Ext.ux.grid.Printer.sanitizeAllowList;
+        }
+
+        container.innerHTML = html;
+        _clean(container);
+        return container.innerHTML;
+
+        function _clean(node) {
+            Ext.each(Ext.Array.toArray(node.childNodes), function(child) {
+                var tag = child.nodeName.toLowerCase();
+
+                if (child.nodeType === 3) {
+                    return;
+                }
+
+                if (child.nodeType !== 1 || Ext.Array.contains(allowList.dropTags || [], tag)) {
+                    node.removeChild(child);
+                    return;
+                }
+
+                _clean(child);
+
+                if (!Ext.Array.contains(allowList.tags || [], tag)) {
+                    // keep the content of the removed tag
+                    while (child.firstChild) {
+                        node.insertBefore(child.firstChild, child);
+                    }
+                    node.removeChild(child);
+                    return;
+                }
+
+                Ext.each(Ext.Array.toArray(child.attributes), function(attr) {
+                    var name = attr.name.toLowerCase();
+                    // browsers ignore whitespace and control characters in urls
+                    var value = attr.value.replace(/[\s\u0000-\u001f]/g, '');
+
+                    if (!Ext.Array.contains(allowList.attributes || [], name) || /^on/.test(name) ||
+                        /^(javascript|vbscript):/i.test(value) ||
+                        (/^data:/i.test(value) && !(name === 'src' && /^data:image\//i.test(value))) ||
+                        (name === 'style' && /expression\(|javascript:/i.test(value))) {
+                        child.removeAttribute(attr.name);
+                    }
+                });
+            });
+        }
+    },
+    /**
+     * Returns a set of columns which are visible and contain a dataIndex, filtered
+     * and ordered by printColumns.
+     * @returns {Ext.grid.column.Column[]}
+     */
+    getColumns: function(grid, isGrouped, groupField) {
+        var me = this;
+        var columns = me.getAvailableColumns(grid, isGrouped, groupField);
+        var printColumns = me.getPrintColumns();
+
+        if (!printColumns) {
+            return columns;
+        }
+
+        return Ext.Array.clean(Ext.Array.map(printColumns, function(key) {
+            return Ext.Array.findBy(columns, function(column) {
+                return me.getColumnKey(column) === key;
+            });
+        }));
+    },
+    /**
+     * Returns the heading of a column in the print, the printText of the column or its text.
+     * Rownumberer columns without text are headed by rowNumbererText.
+     * @param {Ext.grid.column.Column} column
+     * @returns {String}
+     */
+    getColumnText: function(column) {
+        if (Ext.isDefined(column.printText)) {
+            return column.printText;
+        }
+
+        if (column.xtype === 'rownumberer' && (!column.text || column.text === '&#160;')) {
+            return this.getRowNumbererText();
+        }
+
+        return column.text;
+    },
+    /**
+     * Returns true if the print document of the component is right-to-left, see dir.
+     * @param {Ext.Component} [component] the printed grid or one of its columns
+     * @returns {Boolean}
+     */
+    isRtl: function(component) {
+        var dir = this.getDir();
+
+        if (dir) {
+            return dir === 'rtl';
+        }
+
+        if (component) {
+            return !!(component.getInherited ? component.getInherited().rtl : component.rtl);
+        }
+
+        return document.documentElement.dir === 'rtl' || document.body.dir === 'rtl';
+    },
+    /**
+     * Returns the alignment of a column, left and right are swapped in right-to-left documents.
+     * @param {Ext.grid.column.Column} column
+     * @returns {String}
+     */
+    getAlign: function(column) {
+        var align = column.align;
+
+        if (this.isRtl(column)) {
+            return (align === 'right') ? 'left' : (align === 'left' || !align) ? 'right' : align;
+        }
+
+        return align;
+    },
+    /**
+     * Returns the language of the print document, see lang.
+     * @returns {String} empty if unknown
+     */
+    getDocumentLang: function() {
+        return this.getLang() || (Ext.manifest && Ext.manifest.locale) || document.documentElement.lang || '';
+    },
+    /**
+     * Returns the key of a column used by printColumns: the stateId, dataIndex, itemId
+     * or id of the column, whichever is set first.
+     * @param {Ext.grid.column.Column} column
+     * @returns {String}
+     */
+    getColumnKey: function(column) {
+        return column.stateId || column.dataIndex || column.itemId || column.id;
+    },
+    /**
+     * Returns the columns which can be printed, regardless of printColumns.
+     * @returns {Ext.grid.column.Column[]}
+     */
+    getAvailableColumns: function(grid, isGrouped, groupField) {
+        // use the column manager to get the columns.
+        var columns = this.getGridColumns(grid);
+        var clearColumns = [];
+
+        Ext.each(columns, _filterColumns);
+        return clearColumns;
+
+        // remove columns that do not contain dataIndex or dataIndex is empty.
+        // for example: columns filter or columns button
+        function _filterColumns(column) {
+            var hidden;
+
+            if (!column || column.printable === false) {
+                return;
+            }
+
+            // printOnly columns are hidden in the grid but printed
+            hidden = column.hidden && !column.printOnly;
+
+            if (!Ext.isEmpty(column.dataIndex) && !hidden && !isGrouped) {
+                clearColumns.push(column);
+            }
+            else if (column.xtype === 'rownumberer') {
+                clearColumns.push(column);
+            }
+            else if (column.xtype === 'templatecolumn') {
+                clearColumns.push(column);
+            }
+            else if (isGrouped &&
+                !hidden &&
+                column.dataIndex !== groupField &&
+                column.xtype !== 'actioncolumn') {
+                clearColumns.push(column);
+            }
+        }
+    },
+    /**
+     * Returns all leaf columns of the grid in on-screen order. For locked grids the
+     * columns of the locked side come first, followed by those of the normal side.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Ext.grid.column.Column[]}
+     */
+    getGridColumns: function(grid) {
+        if (grid.lockable && grid.lockedGrid) {
+            return grid.lockedGrid.columnManager.getColumns().concat(grid.normalGrid.columnManager.getColumns());
+        }
+
+        return grid.columnManager.getColumns();
+    },
+    /**
+     * Returns true when the column belongs to the locked side of a locked grid.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column
+     * @returns {Boolean}
+     */
+    isLockedColumn: function(grid, column) {
+        return !!(grid.lockable && grid.lockedGrid) && grid.lockedGrid.headerCt.contains(column, true);
+    },
+    /**
+     * Returns the css classes which mark a locked column in the print. The last
+     * locked column gets an additional class for the separator to the normal side.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column
+     * @returns {String} the classes or an empty string for normal columns
+     */
+    getLockedCls: function(grid, column) {
+        var cls = Ext.baseCSSPrefix + 'ux-grid-printer-locked';
+        var lockedColumns;
+
+        if (!this.isLockedColumn(grid, column)) {
+            return '';
+        }
+
+        lockedColumns = grid.lockedGrid.headerCt.getVisibleGridColumns();
+        if (lockedColumns[lockedColumns.length - 1] === column) {
+            cls += ' ' + cls + '-last';
+        }
+
+        return cls;
+    },
+    /**
+     * Returns the view which renders the column, for locked grids this is the view
+     * of the side the column belongs to.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column
+     * @returns {Ext.view.Table}
+     */
+    getColumnView: function(grid, column) {
+        if (!(grid.lockable && grid.lockedGrid)) {
+            return grid.getView();
+        }
+
+        return this.isLockedColumn(grid, column) ? grid.lockedGrid.getView() : grid.normalGrid.getView();
+    },
+    /**
+     * Returns the data of a header cell: the column extended by the css classes of
+     * locked columns, colspan, rowspan and the level of the header row.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column a leaf column or a group header
+     * @param {Number} colspan
+     * @param {Number} rowspan
+     * @param {Number} level
+     * @returns {Object}
+     */
+    getHeaderData: function(grid, column, colspan, rowspan, level) {
+        // chain to keep all column properties available to custom templates
+        var data = Ext.Object.chain(column);
+
+        data.cls = this.getLockedCls(grid, column);
+        data.align = this.getAlign(column);
+        if (column.isGroupHeader) {
+            data.cls += ' ' + Ext.baseCSSPrefix + 'ux-grid-printer-column-group';
+        }
+        data.colspan = colspan;
+        data.rowspan = rowspan;
+        data.level = level;
+        data.text = this.secureHtml(this.getColumnText(column));
+        data.widthStyle = '';
+        if (!Ext.isEmpty(column.printWidth)) {
+            data.widthStyle = ' width: ' + (Ext.isNumber(column.printWidth) ? column.printWidth + 'px' : column.printWidth) + ';';
+        }
+        return data;
+    },
+    /**
+     * Returns the header rows for the printed columns. Grouped column headers are
+     * walked top down, a group spans its printed leaf columns and leaf columns span
+     * the remaining rows. Groups without printed columns are left out.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns the printed leaf columns
+     * @returns {Object[][]} one array of header data per row
+     */
+    getHeaderRows: function(grid, columns) {
+        var me = this;
+        var headerCts = (grid.lockable && grid.lockedGrid) ? [grid.lockedGrid.headerCt, grid.normalGrid.headerCt] : [grid.headerCt];
+        var leafs = [];
+        var depth = 1;
+        var rows = [];
+        var nodes = [];
+        var i;
+
+        Ext.each(headerCts, function(headerCt) {
+            nodes = nodes.concat(_buildNodes(headerCt.items.items, 0));
+        });
+
+        // the tree does not match the printed columns (e.g. reordered columns),
+        // fall back to a single row of leaf columns
+        if (!Ext.Array.equals(leafs, columns)) {
+            return [Ext.Array.map(columns, function(column) {
+                return me.getHeaderData(grid, column, 1, 1, 0);
+            })];
+        }
+
+        for (i = 0; i < depth; i++) {
+            rows.push([]);
+        }
+        _addCells(nodes);
+        return rows;
+
+        // returns the nodes of the headers which contain printed columns
+        function _buildNodes(headers, level) {
+            var result = [];
+
+            Ext.each(headers, function(header) {
+                var node = {
+                    header: header,
+                    level: level,
+                    leafCount: 0
+                };
+
+                if (header.isGroupHeader) {
+                    if (header.hidden) {
+                        return;
+                    }
+
+                    node.children = _buildNodes(header.items.items, level + 1);
+                    Ext.each(node.children, function(child) {
+                        node.leafCount += child.leafCount;
+                    });
+                }
+                else if (Ext.Array.contains(columns, header)) {
+                    node.leafCount = 1;
+                    leafs.push(header);
+                    depth = Math.max(depth, level + 1);
+                }
+
+                if (node.leafCount) {
+                    result.push(node);
+                }
+            });
+
+            return result;
+        }
+
+        function _addCells(nodes) {
+            Ext.each(nodes, function(node) {
+                if (node.children) {
+                    rows[node.level].push(me.getHeaderData(grid, node.header, node.leafCount, 1, node.level));
+                    _addCells(node.children);
+                }
+                else {
+                    rows[node.level].push(me.getHeaderData(grid, node.header, 1, depth - node.level, node.level));
+                }
+            });
+        }
+    },
+    /**
+     * Returns the markup of the header rows, each row is rendered with its entry of
+     * headerRowTpls or the headerTpl.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns the printed leaf columns
+     * @returns {String}
+     */
+    getHeaderMarkup: function(grid, columns) {
+        var me = this;
+        var rowTpls = me.getHeaderRowTpls() || [];
+        var headerTpl = Ext.create('Ext.XTemplate', me.getHeaderTpl());
+
+        return Ext.Array.map(me.getHeaderRows(grid, columns), function(row, level) {
+            var tpl = rowTpls[level] ? Ext.create('Ext.XTemplate', rowTpls[level]) : headerTpl;
+            return '<tr>' + tpl.apply(row) + '</tr>';
+        }).join('');
+    },
+    /**
+     * Adds _dc-GetParam to the given url when disbaleCache-Config is true.
+     * @returns {String} url appended with dc when disbaleCache-Config is true or
+     *              only the url when disbaleCache-Config is false
+     */
+    addDisableCache: function(url) {
+        var isDisableCache = this.getDisableCache();
+
+        if (!isDisableCache) {
+            return url;
+        }
+
+        var dc = '_dc=' + (new Date()).getTime();
+        return Ext.String.urlAppend(url, dc);
+    },
+    /**
+     * Retuns Html markup based of the grid data.
+     * @param {Ext.grid.Panel} grid
+     * @param {Object} [members] the template members of getBodyMembers, created if not passed
+     * @returns {String} the generated Html
+     */
+    getHtmlMarkup: function(grid, members) {
+        var me = this;
+        var title = grid.title || me.getPageTitle();
+
+        return [].concat(
+            me.getDocumentHead(title, grid),
+            '<h1>' + me.secureHtml(me.getMainTitle()) + '</h1>',
+            '{[ this.criteriaHtml ]}',
+            '{[ this.renderTables(values) ]}',
+            me.getDocumentTail(),
+            members || me.getBodyMembers(grid)
+        );
+    },
+    /**
+     * Returns the link and style elements of the page included by includeStylesheets.
+     * @returns {String}
+     */
+    getIncludedStylesheetsMarkup: function() {
+        var include = this.getIncludeStylesheets();
+        var html = '';
+
+        if (!include) {
+            return html;
+        }
+
+        Ext.each(Ext.Array.toArray(document.querySelectorAll('link[rel~="stylesheet"], style')), function(el) {
+            if (el.tagName.toLowerCase() === 'style') {
+                if (include === true) {
+                    html += '<style type="text/css">' + el.innerHTML + '</style>';
+                }
+            }
+            else if (include === true || Ext.Array.some(include, function(part) {
+                    return el.href.indexOf(part) !== -1;
+                })) {
+                html += '<link href="' + Ext.util.Format.htmlEncode(el.href) + '" rel="stylesheet" type="text/css" />';
+            }
+        });
+
+        return html;
+    },
+    /**
+     * Returns the start of the print document up to the opened body.
+     * @param {String} title the title of the document
+     * @param {Ext.grid.Panel} [grid] the printed grid, its direction is the direction of the document
+     * @returns {String[]}
+     */
+    getDocumentHead: function(title, grid) {
+        var me = this;
+        var lang = me.getDocumentLang();
+
+        return [
+            '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+            '<html class="' + Ext.baseCSSPrefix + 'ux-grid-printer" dir="' + (me.isRtl(grid) ? 'rtl' : 'ltr') + '"' +
+                (lang ? ' lang="' + Ext.util.Format.htmlEncode(lang) + '"' : '') + '>',
+            '<head>',
+            '<meta content="text/html; charset=UTF-8" http-equiv="Content-Type" />',
+            // relative urls of stylesheets and images resolve against the page, also in Blob URL documents
+            '<base href="' + Ext.util.Format.htmlEncode(document.baseURI || window.location.href) + '" />',
+            // the stylesheets of the application first, print.css styles the print document
+            me.getIncludedStylesheetsMarkup(),
+            '<link href="' + me.addDisableCache(me.getStylesheetPath()) + '" rel="stylesheet" type="text/css" />',
+            '<style type="text/css">' + me.getPageCss() + '</style>',
+            me.getPrintCss() ? '<style type="text/css">' + me.getPrintCss() + '</style>' : '',
+            '<title>' + Ext.util.Format.htmlEncode(me.toPlainText(title)) + '</title>',
+            '</head>',
+            '<body class="' + Ext.baseCSSPrefix + 'ux-grid-printer-body">',
+            '<div class="' + Ext.baseCSSPrefix + 'ux-grid-printer-noprint ' + Ext.baseCSSPrefix + 'ux-grid-printer-links">',
+            '<a class="' + Ext.baseCSSPrefix + 'ux-grid-printer-linkprint fa-print" href="javascript:void(0);" onclick="window.print();">' + me.secureHtml(me.getPrintLinkText()) + '</a>',
+            '<a class="' + Ext.baseCSSPrefix + 'ux-grid-printer-linkclose" href="javascript:void(0);" onclick="window.close();">' + me.secureHtml(me.getCloseLinkText()) + '</a>',
+            '</div>'
+        ];
+    },
+    /**
+     * Returns the end of the print document.
+     * @returns {String[]}
+     */
+    getDocumentTail: function() {
+        return [
+            '</body>',
+            '</html>'
+        ];
+    },
+    /**
+     * Returns the template members rendering the content of a grid: criteriaHtml and
+     * renderTables, which renders one table per band of columns.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Object}
+     */
+    getBodyMembers: function(grid) {
+        var me = this;
+        var groupFeature = me.getGroupFeature(grid);
+        var isGrouped = !!groupFeature;
+        var groupField = (isGrouped) ? groupFeature.getGroupField() : null;
+        var columns = me.getColumns(grid, isGrouped, groupField);
+        var bands = me.getColumnBands(grid, columns);
+        var printDate = new Date();
+        // one table per band of columns, all applied to the same records
+        var tableTpls = Ext.Array.map(bands, function(band) {
+            var caption = (bands.length > 1) ? Ext.String.format(me.getBandCaptionText(), band.first, band.last, band.total) : '';
+            return Ext.create('Ext.XTemplate', me.getTableMarkup(grid, band.columns, caption, printDate));
+        });
+
+        return {
+            criteriaHtml: me.getShowCriteria() ? me.getTemplate(me.getCriteriaTpl()).apply(me.getCriteriaData(grid)) : '',
+            // the tables rendered in advance by chunked rendering
+            tablesHtml: null,
+            renderTables: function(records) {
+                if (this.tablesHtml !== null) {
+                    return this.tablesHtml;
+                }
+
+                return Ext.Array.map(this.getRenderSteps(records), me.renderStep).join('');
+            },
+            getRenderSteps: function(records) {
+                return Ext.Array.flatten(Ext.Array.map(tableTpls, function(tpl) {
+                    return me.getTableSteps(tpl, records);
+                }));
+            }
+        };
+    },
+    /**
+     * Returns the steps rendering one table in order: the table head with the summary, the
+     * rows of the records or the headers, rows and summaries of the groups, one step per row,
+     * and the end of the table. Chunked rendering runs the steps in time slices.
+     * @param {Ext.XTemplate} tpl the table template of getTableMarkup
+     * @param {Ext.data.Model[]} records
+     * @returns {Array} html strings and functions returning html, see renderStep
+     */
+    getTableSteps: function(tpl, records) {
+        var me = this;
+        var steps = [function() {
+            return '<div class="' + Ext.baseCSSPrefix + 'ux-grid-printer-band">' + tpl.apply(records);
+        }];
+
+        if (tpl.groupTpl) {
+            Ext.each(me.groupRecords(tpl.grid, records), function(group) {
+                steps.push('<tbody class="' + Ext.baseCSSPrefix + 'ux-grid-printer-group">');
+                Ext.each(me.getGroupParts(group), function(part) {
+                    if (part.type !== 'rows') {
+                        steps.push(function() {
+                            return tpl.groupTpl.apply([part]);
+                        });
+                        return;
+                    }
+
+                    Ext.each(part.records, function(rcd, index) {
+                        steps.push(function() {
+                            return tpl.groupTpl.apply([Ext.apply({}, {
+                                records: [rcd],
+                                offset: index
+                            }, part)]);
+                        });
+                    });
+                });
+                steps.push('</tbody>');
+            });
+        }
+        else {
+            steps.push('<tbody>');
+            Ext.each(records, function(rcd, index) {
+                steps.push(function() {
+                    return tpl.rowsTpl.renderRows(records, index, index + 1);
+                });
+            });
+            steps.push('</tbody>');
+        }
+
+        steps.push('</table></div>');
+        return steps;
+    },
+    /**
+     * Returns the html of a step of getTableSteps.
+     * @param {String/Function} step
+     * @returns {String}
+     */
+    renderStep: function(step) {
+        return Ext.isFunction(step) ? step() : step;
+    },
+    /**
+     * Returns the template markup of the start of one table up to its body, it is applied to
+     * the printed records. The rows are rendered by its rowsTpl or groupTpl, see getTableSteps.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns the columns of the table
+     * @param {String} caption printed above the table, empty for no caption
+     * @param {Date} printDate
+     * @returns {Array} the template parts and members
+     */
+    getTableMarkup: function(grid, columns, caption, printDate) {
+        var me = this;
+        var groupFeature = me.getGroupFeature(grid);
+        var isGrouped = !!groupFeature;
+        //use the headerTpl and bodyTpl markups to create the main XTemplate below
+        var headings = me.getHeaderMarkup(grid, columns);
+        var summaryFeature = me.getFeature(grid, 'summary');
+        var groupTpl = isGrouped ? me.generateGroupBody(grid, columns, groupFeature) : null;
+
+        return [
             '<table>',
-            '<tr>',
-            headings,
-            '</tr>',
-            '<tpl for=".">',
-            '<tr class="{[xindex % 2 === 0 ? "even" : "odd"]}">',
-            body,
+            '<tpl if="this.caption">',
+            '<caption class="' + Ext.baseCSSPrefix + 'ux-grid-printer-band-caption">{[ this.caption ]}</caption>',
+            '</tpl>',
+            me.getColumnWidths() ? me.getColGroupMarkup(columns) : '',
+            '<thead>',
+            '<tpl if="this.pageHeaderTpl">',
+            '<tr class="' + Ext.baseCSSPrefix + 'ux-grid-printer-page-header">',
+            '<td colspan="' + columns.length + '">{[ this.pageHeaderTpl.apply(this.getPageTplData(values)) ]}</td>',
             '</tr>',
-            pluginsBodyMarkup.join(''),
-            '{% if (this.isGrouped && xindex > 0) break; %}',
             '</tpl>',
+            headings,
+            '</thead>',
+            // the footer is repeated on every printed page like the header
+            '<tpl if="this.hasSummary || this.pageFooterTpl">',
+            '<tfoot>',
             '<tpl if="this.hasSummary">',
+            // the summary values are computed once for the row
+            '{% this.prepareSummary(values); %}',
             '<tr>',
             '<tpl for="this.columns">',
             '{[ this.renderSummary(values, xindex) ]}',
             '</tpl>',
             '</tr>',
             '</tpl>',
-            '</table>',
-            '</body>',
-            '</html>', {
-                isGrouped: isGrouped,
+            '<tpl if="this.pageFooterTpl">',
+            '<tr class="' + Ext.baseCSSPrefix + 'ux-grid-printer-page-footer">',
+            '<td colspan="' + columns.length + '">{[ this.pageFooterTpl.apply(this.getPageTplData(values)) ]}</td>',
+            '</tr>',
+            '</tpl>',
+            '</tfoot>',
+            '</tpl>', {
+                groupTpl: groupTpl,
+                rowsTpl: isGrouped ? null : me.generateRowsBody(grid, columns),
+                pageHeaderTpl: me.getPageHeaderTpl() ? me.getTemplate(me.getPageHeaderTpl()) : null,
+                pageFooterTpl: me.getPageFooterTpl() ? me.getTemplate(me.getPageFooterTpl()) : null,
+                printDate: printDate,
+                caption: caption,
                 grid: grid,
                 columns: columns,
-                hasSummary: Ext.isObject(summaryFeature),
+                hasSummary: Ext.isObject(summaryFeature) && me.getShowSummary(),
                 summaryFeature: summaryFeature,
-                expanderTemplate: expanderTemplate,
-                renderColumn: function(column, value, rcd, col) {
-                    var grid = this.grid;
-                    var store = grid.getStore();
-                    var view = grid.getView();
-                    var meta = me.getMeta(column, value, rcd, col, store);
+                summaryRecords: [],
+                summaryValues: [],
+                summaryRecord: null,
+                summaryData: null,
+                getPageTplData: function(records) {
+                    return me.getPageTplData(this.grid, records, this.printDate);
+                },
+                prepareSummary: function(records) {
+                    var me = this;
+
+                    // summaries are computed over the printed records only
+                    me.summaryRecords = records;
+                    me.summaryValues = [];
+                    if (me.summaryFeature.remoteRoot) {
+                        me.summaryRecord = me.getSummaryRecord42();
+                        Ext.each(me.columns, function(column) {
+                            me.summaryValues.push(me.summaryRecord.get(column.dataIndex));
+                        });
+                    }
+                    else {
+                        Ext.each(me.columns, function(column) {
+                            me.summaryValues.push(me.aggregateRecords(records, column.summaryType, column.dataIndex));
+                        });
+                        me.summaryRecord = me.getSummaryRecord42();
+                    }
+                    me.summaryData = me.getSummaryData(me.columns, me.summaryRecord);
+                },
+                renderSummary: function(column, colIndex) {
+                    var me = this;
+                    var value = me.summaryValues[colIndex - 1];
+
+                    if (column.summaryRenderer) {
+                        var summaryObject = me.getSummaryObject42(value, column, colIndex, me.summaryRecord);
+                        value = me.callSummaryRenderer(column, value, me.summaryData, summaryObject);
+
+                        return me.getHtml(me.secureHtml(value, column.printTrustedHtml), summaryObject);
+                    }
+                    else {
+                        var meta = me.getSummaryObject42(value, column, colIndex);
+                        if (!Ext.isDefined(value) || value == 0) {
+                            return me.getHtml("&nbsp;", meta);
+                        }
+                        else {
+                            return me.getHtml(me.encodeValue(value), meta);
+                        }
+                    }
+                },
+                getSummaryObject: function(align) {
+                    var me = this;
+                    var summaryValues = {};
+                    for (var i = 0; i < columns.length; i++) {
+                        var valueObject = me.aggregateRecords(me.summaryRecords, me.columns[i].summaryType, me.columns[i].dataIndex);
+                        if (Ext.isDefined(valueObject)) {
+                            continue; // Do nothing
+                        }
+                        else {
+                            summaryValues[columns[i].id] = valueObject;
+                        }
+                    }
+                    summaryValues['style'] = "text-align:" + align + ';';
+                    return summaryValues;
+                },
+                getSummaryRecord42: function() {
+                    var me = this;
+                    if (me.summaryFeature.remoteRoot) {
+                        var summaryRecord = me.summaryFeature.summaryRecord || (new me.grid.view.store.model(null, me.grid.view.id + '-summary-record'));
+                        if (me.grid.view.store.proxy.reader.rawData) {
+                            if (Ext.isArray(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot])) {
+                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot][0]);
+                            }
+                            else {
+                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot]);
+                            }
+                        }
+                        return summaryRecord;
+                    }
+
+                    var rcd = Ext.create(me.grid.store.model);
+                    for (var i = 0; i < me.columns.length; i++) {
+                        var valueObject = me.summaryValues[i];
+                        if (!Ext.isDefined(valueObject)) {
+                            continue; // Do nothing
+                        }
+                        else {
+                            rcd.set(me.columns[i].dataIndex, valueObject);
+                        }
+                    }
+                    return rcd;
+                },
+                getSummaryObject42: function(value, column, colIndex, rcd) {
+                    return {
+                        align: this.getAlign(column),
+                        cellIndex: colIndex,
+                        'column': column,
+                        classes: [],
+                        css: '',
+                        innerCls: '',
+                        record: rcd,
+                        recordIndex: -1,
+                        style: '',
+                        tdAttr: '',
+                        tdCls: '',
+                        unselectableAttr: 'unselectable="on"',
+                        'value': value
+                    };
+                },
+                getSummary: me.getSummary,
+                aggregateRecords: me.aggregateRecords,
+                getSummaryData: function(columns, summaryRecord) {
+                    return me.getSummaryData(columns, summaryRecord);
+                },
+                callSummaryRenderer: function(column, value, summaryData, meta) {
+                    return me.callSummaryRenderer(column, value, summaryData, meta);
+                },
+                getHtml: me.getHtml,
+                secureHtml: function(html, trusted) {
+                    return me.secureHtml(html, trusted);
+                },
+                encodeValue: function(value) {
+                    return me.encodeValue(value);
+                },
+                getAlign: function(column) {
+                    return me.getAlign(column);
+                }
+            }
+        ];
+    },
+    /**
+     * Returns the passed template config as Ext.XTemplate.
+     * @param {String/Array/Ext.XTemplate} tpl
+     * @returns {Ext.XTemplate}
+     */
+    getTemplate: function(tpl) {
+        return (tpl && tpl.isTemplate) ? tpl : Ext.create('Ext.XTemplate', tpl);
+    },
+    /**
+     * Returns the data pageHeaderTpl and pageFooterTpl are applied to. The title and the values
+     * of the metadata are escaped like titles and field values, see htmlEncodeValues.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model[]} records the printed records
+     * @param {Date} printDate
+     * @returns {Object}
+     */
+    getPageTplData: function(grid, records, printDate) {
+        var me = this;
+        var metadata = {};
+
+        Ext.Object.each(me.getPrintMetadata(), function(name, value) {
+            metadata[name] = me.encodeValue(value);
+        });
+
+        return {
+            grid: grid,
+            title: me.secureHtml(grid.title || me.getMainTitle() || me.getPageTitle()),
+            recordCount: records.length,
+            printDate: printDate,
+            printDateText: Ext.Date.format(printDate, me.getPrintDateFormat()),
+            filters: me.getActiveFilters(grid),
+            metadata: metadata
+        };
+    },
+    /**
+     * Returns the data the criteriaTpl is applied to.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Object}
+     */
+    getCriteriaData: function(grid) {
+        var me = this;
+
+        return {
+            filters: me.getActiveFilters(grid),
+            sorters: me.getActiveSorters(grid),
+            filterText: me.getFilterText(),
+            sortText: me.getSortText()
+        };
+    },
+    /**
+     * Returns the enabled filters of the grid's store, whether added by code or by the
+     * Ext.grid.filters.Filters plugin. Each entry holds the filter, its property, the text
+     * of the column showing the property (the property or filter id when there is no such
+     * column), operator, operatorText, value and the formatted valueText.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Object[]}
+     */
+    getActiveFilters: function(grid) {
+        var me = this;
+        var columns = me.getGridColumns(grid);
+        var result = [];
+
+        grid.getStore().getFilters().each(function(filter) {
+            var property = filter.getProperty();
+            var column;
+
+            if (filter.getDisabled()) {
+                return;
+            }
+
+            column = property ? Ext.Array.findBy(columns, function(col) {
+                return col.dataIndex === property;
+            }) : null;
+
+            result.push({
+                filter: filter,
+                property: property,
+                text: me.secureHtml(column ? me.getColumnText(column) : (property || filter.getId())),
+                operator: filter.getOperator(),
+                operatorText: me.getOperatorText(filter.getOperator(), filter.getValue()),
+                value: filter.getValue(),
+                valueText: me.formatCriteriaValue(filter.getValue(), column)
+            });
+        });
+
+        return result;
+    },
+    /**
+     * Returns the sorters of the grid's store. Each entry holds the sorter, its property,
+     * the text of the column showing the property, direction and directionText.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Object[]}
+     */
+    getActiveSorters: function(grid) {
+        var me = this;
+        var columns = me.getGridColumns(grid);
+        var result = [];
+
+        grid.getStore().getSorters().each(function(sorter) {
+            var property = sorter.getProperty();
+            var column = property ? Ext.Array.findBy(columns, function(col) {
+                return col.dataIndex === property;
+            }) : null;
+
+            result.push({
+                sorter: sorter,
+                property: property,
+                text: me.secureHtml(column ? me.getColumnText(column) : (property || sorter.getId())),
+                direction: sorter.getDirection(),
+                directionText: sorter.getDirection() === 'DESC' ? me.getSortDescText() : me.getSortAscText()
+            });
+        });
+
+        return result;
+    },
+    /**
+     * Returns the text of a filter operator, see operatorTexts. Filters without operator
+     * match strings like 'like' and other values like '=', as Ext.util.Filter does.
+     * @param {String} operator
+     * @param {Object} [value] the value of the filter
+     * @returns {String}
+     */
+    getOperatorText: function(operator, value) {
+        var texts = this.getOperatorTexts() || {};
+
+        if (Ext.isEmpty(operator)) {
+            operator = Ext.isString(value) ? 'like' : '=';
+        }
+
+        // the config object inherits the default texts, hasOwnProperty misses them
+        return Ext.isString(texts[operator]) ? texts[operator] : operator;
+    },
+    /**
+     * Formats a filter value for the criteria block. Dates use the format of the
+     * column when it has one, lists are joined.
+     * @param {Object} value
+     * @param {Ext.grid.column.Column} [column]
+     * @returns {String}
+     */
+    formatCriteriaValue: function(value, column) {
+        var me = this;
+
+        if (Ext.isArray(value)) {
+            return Ext.Array.map(value, function(item) {
+                return me.formatCriteriaValue(item, column);
+            }).join(', ');
+        }
+
+        if (Ext.isDate(value)) {
+            return Ext.Date.format(value, (column && column.format) || Ext.Date.defaultFormat);
+        }
+
+        return Ext.isEmpty(value) ? '' : String(value);
+    },
+    /**
+     * Returns the css generated from the page layout configs: the @page rule with
+     * size, margins and page numbers and the rule keeping groups on one page.
+     * @returns {String}
+     */
+    getPageCss: function() {
+        var me = this;
+        var pageSize = me.getPageSize();
+        var orientation = me.getOrientation();
+        var margins = me.getMargins();
+        var pageRules = [];
+        var css = [];
+        var size;
+
+        if (pageSize || orientation) {
+            size = pageSize ? String(pageSize).split(/\s+/) : [];
+
+            // explicit dimensions can't be combined with an orientation keyword
+            if (size.length === 2) {
+                if (orientation === 'landscape' && parseFloat(size[0]) < parseFloat(size[1])) {
+                    size.reverse();
+                }
+            }
+            else if (orientation) {
+                size.push(orientation);
+            }
+            pageRules.push('size: ' + size.join(' ') + ';');
+        }
+
+        if (!Ext.isEmpty(margins)) {
+            pageRules.push('margin: ' + me.getMarginsCss(margins) + ';');
+        }
+
+        if (me.getShowPageNumbers()) {
+            pageRules.push('@' + me.getPageNumberPosition() + ' { content: ' + me.getPageNumberContent() + '; font: 9px arial; }');
+        }
+
+        if (pageRules.length) {
+            css.push('@page { ' + pageRules.join(' ') + ' }');
+        }
+
+        if (me.getKeepGroupsTogether()) {
+            css.push('.' + Ext.baseCSSPrefix + 'ux-grid-printer tbody.' + Ext.baseCSSPrefix + 'ux-grid-printer-group { page-break-inside: avoid; }');
+        }
+
+        return css.join('\n');
+    },
+    /**
+     * Converts pageNumberText into the css content of the page margin box.
+     * @returns {String} e.g. "Page " counter(page) " of " counter(pages)
+     */
+    getPageNumberContent: function() {
+        var parts = this.getPageNumberText().split(/(\{[01]\})/);
+        var content = [];
+
+        Ext.each(parts, function(part) {
+            if (part === '{0}') {
+                content.push('counter(page)');
+            }
+            else if (part === '{1}') {
+                content.push('counter(pages)');
+            }
+            else if (part) {
+                content.push('"' + part.replace(/(["\\])/g, '\\$1') + '"');
+            }
+        });
+
+        return content.join(' ');
+    },
+    /**
+     * Converts the margins config into a css margin value, numbers are taken as millimeters.
+     * @param {String/Number/Object} margins
+     * @returns {String}
+     */
+    getMarginsCss: function(margins) {
+        var toCss = function(value) {
+            return Ext.isNumber(value) ? value + 'mm' : (value || 0);
+        };
+
+        if (Ext.isObject(margins)) {
+            return Ext.Array.map([margins.top, margins.right, margins.bottom, margins.left], toCss).join(' ');
+        }
+
+        return toCss(margins);
+    },
+    /**
+     * Splits the columns into bands fitting the printable page width. Without splitColumns
+     * or if everything fits a single band with all columns is returned.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns
+     * @returns {Object[]} bands with columns, first, last and total used by bandCaptionText
+     */
+    getColumnBands: function(grid, columns) {
+        var me = this;
+        var keyColumns = [];
+        var otherColumns = [];
+        var keyWidth = 0;
+        var bands = [];
+        var available, band;
+
+        Ext.each(columns, function(column) {
+            if (me.isKeyColumn(grid, column)) {
+                keyColumns.push(column);
+                keyWidth += me.getPrintColumnWidth(column);
+            }
+            else {
+                otherColumns.push(column);
+            }
+        });
+
+        if (!me.getSplitColumns() || !otherColumns.length) {
+            return [{ columns: columns, first: 1, last: otherColumns.length, total: otherColumns.length }];
+        }
+
+        available = me.getPrintableWidth() - keyWidth;
+
+        Ext.each(otherColumns, function(column, idx) {
+            var width = me.getPrintColumnWidth(column);
+
+            // a column wider than the page still gets a band of its own
+            if (!band || band.width + width > available) {
+                band = { columns: [], width: 0, first: idx + 1 };
+                bands.push(band);
+            }
+            band.columns.push(column);
+            band.width += width;
+            band.last = idx + 1;
+        });
+
+        return Ext.Array.map(bands, function(b) {
+            return {
+                // keep the original column order, key columns included
+                columns: Ext.Array.filter(columns, function(column) {
+                    return Ext.Array.contains(keyColumns, column) || Ext.Array.contains(b.columns, column);
+                }),
+                first: b.first,
+                last: b.last,
+                total: otherColumns.length
+            };
+        });
+    },
+    /**
+     * Returns true if the column is repeated in every band, see keyColumns.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column} column
+     * @returns {Boolean}
+     */
+    isKeyColumn: function(grid, column) {
+        var keyColumns = this.getKeyColumns();
+
+        if (Ext.isFunction(keyColumns)) {
+            return !!keyColumns.call(this, column, grid);
+        }
+
+        if (Ext.isArray(keyColumns)) {
+            return Ext.Array.some(keyColumns, function(key) {
+                return key === column || (!Ext.isEmpty(key) && (key === column.dataIndex || key === column.itemId || key === column.stateId));
+            });
+        }
+
+        return this.isLockedColumn(grid, column) || column.xtype === 'rownumberer';
+    },
+    /**
+     * Returns the printWidth of a column or its width as shown in the grid, 100 if it is unknown.
+     * @param {Ext.grid.column.Column} column
+     * @returns {Number}
+     */
+    getPrintColumnWidth: function(column) {
+        var width = column.rendered ? column.getWidth() : column.width;
+
+        if (Ext.isNumber(column.printWidth)) {
+            return column.printWidth;
+        }
+
+        return width || 100;
+    },
+    /**
+     * Returns the colgroup of a table with the widths of its columns, see columnWidths.
+     * @param {Ext.grid.column.Column[]} columns
+     * @returns {String}
+     */
+    getColGroupMarkup: function(columns) {
+        var me = this;
+
+        return '<colgroup>' + Ext.Array.map(columns, function(column) {
+            var width = Ext.isString(column.printWidth) ? column.printWidth : me.getPrintColumnWidth(column) + 'px';
+
+            return '<col style="width: ' + width + ';" />';
+        }).join('') + '</colgroup>';
+    },
+    /**
+     * Returns the printable width of a page in pixels, see pageWidth.
+     * @returns {Number}
+     */
+    getPrintableWidth: function() {
+        return this.getPageWidth() || this.getPrintableSize().width;
+    },
+    /**
+     * Returns the printable size of a page in pixels computed from pageSize, orientation
+     * and margins (A4 portrait with 10mm margins if not set).
+     * @returns {Object} width and height
+     */
+    getPrintableSize: function() {
+        var me = this;
+        var paperSizes = {
+            a3: [297, 420],
+            a4: [210, 297],
+            a5: [148, 210],
+            b4: [250, 353],
+            b5: [176, 250],
+            letter: [215.9, 279.4],
+            legal: [215.9, 355.6],
+            ledger: [279.4, 431.8]
+        };
+        var pageSize = String(me.getPageSize() || 'a4').toLowerCase().split(/\s+/);
+        var margins = me.getMargins();
+        var top, right, bottom, left;
+        var size;
 
-                    if (column.xtype == 'templatecolumn') {
-                        value = column.tpl ? column.tpl.apply(rcd.data) : value;
-                    }
-                    else if (column.renderer) {
-                        if (column instanceof Ext.tree.Column) {
-                            value = column.renderer.call(column, value, meta, rcd, -1, col - 1, store, view);
-                        }
-                        else {
-                            value = column.renderer.call(grid, value, meta, rcd, -1, col - 1, store, view);
-                        }
-                    }
+        size = paperSizes[pageSize[0]] || [me.toMillimeters(pageSize[0], 210), me.toMillimeters(pageSize[1] || pageSize[0], 297)];
+        if (me.getOrientation() === 'landscape' || pageSize[1] === 'landscape') {
+            size = [Math.max(size[0], size[1]), Math.min(size[0], size[1])];
+        }
 
-                    return this.getHtml(value, meta);
-                },
-                applyTpl: function(rcd) {
-                    var html = this.expanderTemplate.apply(rcd.data);
-                    return html;
-                },
-                renderSummary: function(column, colIndex) {
-                    var me = this;
-                    var value;
-                    if (me.summaryFeature.remoteRoot) {
-                        var summaryRecord = me.summaryFeature.summaryRecord || (new me.grid.view.store.model(null, me.grid.view.id + '-summary-record'));
-                        if (me.grid.view.store.proxy.reader.rawData) {
-                            if (Ext.isArray(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot])) {
-                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot][0]);
-                            }
-                            else {
-                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot]);
-                            }
-                        }
-                        value = summaryRecord.get(column.dataIndex);
-                    }
-                    else {
-                        value = me.getSummary(me.grid.store, column.summaryType, column.dataIndex, false);
-                    }
+        if (Ext.isObject(margins)) {
+            top = margins.top;
+            right = margins.right;
+            bottom = margins.bottom;
+            left = margins.left;
+        }
+        else if (!Ext.isEmpty(margins)) {
+            // css shorthand with one to four values
+            margins = String(margins).split(/\s+/);
+            top = margins[0];
+            right = margins[1] || top;
+            bottom = margins[2] || top;
+            left = margins[3] || right;
+        }
 
-                    if (column.summaryRenderer) {
-                        var summaryRcd = me.getSummaryRecord42();
-                        var summaryObject = me.getSummaryObject42(value, column, colIndex, summaryRcd);
-                        value = column.summaryRenderer.call(me.grid,
-                            value,
-                            summaryObject,
-                            summaryRcd, -1,
-                            colIndex,
-                            me.grid.store,
-                            me.grid.view);
-
-                        return me.getHtml(value, summaryObject);
-                    }
-                    else {
-                        var meta = me.getSummaryObject42(column, colIndex);
-                        if (!Ext.isDefined(value) || value == 0) {
-                            return me.getHtml("&nbsp;", meta);
-                        }
-                        else {
-                            return me.getHtml(value, meta);
-                        }
-                    }
-                },
-                getSummaryObject: function(align) {
-                    var me = this;
-                    var summaryValues = {};
-                    for (var i = 0; i < columns.length; i++) {
-                        var valueObject = me.getSummary(me.grid.store, me.columns[i].summaryType, me.columns[i].dataIndex, false);
-                        if (Ext.isDefined(valueObject)) {
-                            continue; // Do nothing
-                        }
-                        else {
-                            summaryValues[columns[i].id] = valueObject;
-                        }
-                    }
-                    summaryValues['style'] = "text-align:" + align + ';';
-                    return summaryValues;
-                },
-                getSummaryRecord42: function() {
-                    var me = this;
-                    if (me.summaryFeature.remoteRoot) {
-                        var summaryRecord = me.summaryFeature.summaryRecord || (new me.grid.view.store.model(null, me.grid.view.id + '-summary-record'));
-                        if (me.grid.view.store.proxy.reader.rawData) {
-                            if (Ext.isArray(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot])) {
-                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot][0]);
-                            }
-                            else {
-                                summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot]);
-                            }
-                        }
-                        return summaryRecord;
-                    }
+        return {
+            width: Math.floor((size[0] - me.toMillimeters(left, 10) - me.toMillimeters(right, 10)) * 96 / 25.4),
+            height: Math.floor((size[1] - me.toMillimeters(top, 10) - me.toMillimeters(bottom, 10)) * 96 / 25.4)
+        };
+    },
+    /**
+     * Converts a css length into millimeters, numbers are taken as millimeters.
+     * @param {String/Number} value
+     * @param {Number} defaultValue returned for empty or unknown values
+     * @returns {Number}
+     */
+    toMillimeters: function(value, defaultValue) {
+        var units = { mm: 1, cm: 10, 'in': 25.4, pt: 25.4 / 72, px: 25.4 / 96 };
+        var match;
 
-                    var rcd = Ext.create(me.grid.store.model);
-                    for (var i = 0; i < me.columns.length; i++) {
-                        var valueObject = me.getSummary(me.grid.store, me.columns[i].summaryType, me.columns[i].dataIndex, false);
-                        if (!Ext.isDefined(valueObject)) {
-                            continue; // Do nothing
-                        }
-                        else {
-                            rcd.set(me.columns[i].dataIndex, valueObject);
-                        }
-                    }
-                    return rcd;
-                },
-                getSummaryObject42: function(value, column, colIndex, rcd) {
-                    return {
-                        align: column.align,
-                        cellIndex: colIndex,
-                        'column': column,
-                        classes: [],
-                        css: '',
-                        innerCls: '',
-                        record: rcd,
-                        recordIndex: -1,
-                        style: '',
-                        tdAttr: '',
-                        tdCls: '',
-                        unselectableAttr: 'unselectable="on"',
-                        'value': value
-                    };
-                },
-                getSummary: me.getSummary,
-                getHtml: me.getHtml
-            }
-        ];
+        if (Ext.isNumber(value)) {
+            return value;
+        }
+
+        match = /^([\d.]+)(mm|cm|in|pt|px)?$/.exec(String(value));
+
+        return match ? parseFloat(match[1]) * units[match[2] || 'mm'] : defaultValue;
     },
     /**
      * Returns when available the requested feature.
@@ -590,8 +3787,14 @@ Ext.define('Ext.ux.grid.Printer', {
         else if (view.featuresMC) {
             features = view.featuresMC.items;
         }
-        else if (view.normalView.featuresMC) {
-            features = view.normalView.featuresMC.items;
+        else if (view.normalView) {
+            // locked grid: the feature may be configured for one side only
+            features = [];
+            Ext.each([view.normalView, view.lockedView], function(sideView) {
+                if (sideView && sideView.featuresMC) {
+                    features = features.concat(sideView.featuresMC.items);
+                }
+            });
         }
 
         if (!features) {
@@ -608,121 +3811,360 @@ Ext.define('Ext.ux.grid.Printer', {
             }
         }
     },
-    generateBody: function(grid, columns, groupFeature) {
+    /**
+     * Returns the grouping feature of the grid when its store is grouped.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Ext.grid.feature.Grouping/null}
+     */
+    getGroupFeature: function(grid) {
+        var groupFeature = this.getFeature(grid, 'grouping');
+
+        return (groupFeature && grid.getStore().isGrouped()) ? groupFeature : null;
+    },
+    /**
+     * Returns the rowexpander plugin of the grid.
+     * @param {Ext.grid.Panel} grid
+     * @returns {Ext.grid.plugin.RowExpander}
+     */
+    getRowExpander: function(grid) {
+        return Ext.Array.findBy(grid.plugins || [], function(p) {
+            return p.ptype == 'rowexpander';
+        });
+    },
+    /**
+     * Returns the rows printed below a record: the row body of the rowexpander and the
+     * nested detail table, see detail and expandedRowsOnly.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model} rcd
+     * @param {Number} colspan the number of printed columns
+     * @param {String} rowCls
+     * @returns {String}
+     */
+    renderRowDetail: function(grid, rcd, colspan, rowCls) {
         var me = this;
-        var groups = [];
-        var fields = grid.store.getProxy().getModel().getFields();
-        var hideGroupField = true;
-        var groupingSummaryFeature = this.getFeature(grid, 'groupingsummary');
-        var store = grid.getStore();
-        var groupField, body, bodyTpl;
+        var expander = me.getRowExpander(grid);
+        var html = '';
+        var detailHtml;
 
-        if (!store.isGrouped() || !groups || !groups.length || !groupFeature) {
-            bodyTpl = [
-                '<tpl for="this.columns">',
-                '{[ this.renderColumn(values, parent.get(values.dataIndex), parent, xindex) ]}',
-                '</tpl>'
-            ];
+        if (me.getExpandedRowsOnly() && expander && !(expander.recordsExpanded || {})[rcd.internalId]) {
+            return html;
+        }
 
-            return bodyTpl.join('');
+        if (expander && expander.rowBodyTpl) {
+            html += '<tr class="' + rowCls + '"><td colspan="' + colspan + '">' + me.secureHtml(expander.rowBodyTpl.apply(rcd.data), expander.printTrustedHtml) + '</td></tr>';
         }
 
-        if (grid instanceof Ext.grid.Panel) {
-            groups = store.getGroups();
+        if (me.getDetail()) {
+            detailHtml = me.getDetailHtml(rcd);
+            if (detailHtml) {
+                html += '<tr class="' + rowCls + ' ' + Ext.baseCSSPrefix + 'ux-grid-printer-detail"><td colspan="' + colspan + '">' + detailHtml + '</td></tr>';
+            }
         }
 
-        hideGroupField = groupFeature.hideGroupedHeader; // bool
-        groupField = groupFeature.getGroupField();
+        return html;
+    },
+    /**
+     * Returns the nested table of a record, see detail. The nested records are printed
+     * through a child grid with the same column and renderer logic as the grid.
+     * @param {Ext.data.Model} rcd
+     * @returns {String} empty if the record has no nested records
+     */
+    getDetailHtml: function(rcd) {
+        var me = this;
+        var detail = me.getDetail();
+        var source = null;
+        var store, records, childGrid;
+        var html = '';
+
+        if (Ext.isFunction(detail.association)) {
+            source = detail.association.call(me, rcd);
+        }
+        else if (Ext.isFunction(rcd[detail.association])) {
+            source = rcd[detail.association]();
+        }
 
-        var groupColumn;
-        Ext.each(grid.columns, function(col) {
-            if (col.dataIndex == groupField)
-                groupColumn = col;
+        store = (source && source.isStore) ? source : Ext.create('Ext.data.Store', {
+            data: source || []
         });
+        records = store.getRange();
 
-        if (!groupFeature || !fields || !groupField) {
-            return;
+        if (records.length) {
+            childGrid = me.getDetailGrid(detail);
+            childGrid.reconfigure(store);
+
+            // the configs of the grid's print don't apply to the nested tables
+            me.withConfig(Ext.apply({
+                detail: detail.detail || null,
+                printColumns: null,
+                splitColumns: false,
+                showCriteria: false,
+                pageHeaderTpl: null,
+                pageFooterTpl: null
+            }, detail.config), function() {
+                html = me.getSectionHtml(childGrid, records);
+            });
+            childGrid.reconfigure('ext-empty-store');
+        }
+
+        if (store !== source) {
+            store.destroy();
         }
 
-        if (hideGroupField) {
-            var removeGroupField = function(item) {
-                return (item.name != groupField);
+        return html;
+    },
+    /**
+     * Returns the child grid printing the nested tables of a detail config. It is created once
+     * per print and detail config, the store of each record is bound to it.
+     * @param {Object} detail
+     * @returns {Ext.grid.Panel}
+     */
+    getDetailGrid: function(detail) {
+        var me = this;
+        var entry = Ext.Array.findBy(me.detailGrids || [], function(item) {
+            return item.detail === detail;
+        });
+
+        if (!entry) {
+            entry = {
+                detail: detail,
+                grid: Ext.create('Ext.grid.Panel', Ext.apply({
+                    store: 'ext-empty-store'
+                }, detail.grid || {
+                    columns: detail.columns
+                }))
             };
-            // Remove group field from fields array.
-            // This could be done later in the template,
-            // but it is easier to do it here.
-            fields = fields.filter(removeGroupField);
-        }
-
-        // Use group header template for the header.
-        var html = groupFeature.groupHeaderTpl.html || '';
-
-        // #$%! ExtJS 5.x changed the output of getGroups().  It is now an Ext.util.GroupCollection object.
-        // We need to transform it back into the 4.x structure which our template expects.
-        var newGroups = [];
-        for (var i = 0; i < groups.getCount(); i++) {
-            var groupObj = groups.getAt(i);
-            newGroups.push({
-                name: groupObj.getGroupKey(),
-                children: groupObj.getRange()
-            });
+            me.detailGrids = (me.detailGrids || []).concat(entry);
+        }
+
+        return entry.grid;
+    },
+    /**
+     * Destroys the child grids of the nested tables when the document is rendered.
+     */
+    destroyDetailGrids: function() {
+        Ext.each(this.detailGrids, function(entry) {
+            entry.grid.destroy();
+        });
+        this.detailGrids = null;
+    },
+    /**
+     * Returns the markup of the cells of a record row. The cells are rendered by the
+     * renderCells member of the template, see renderCells.
+     * @returns {String}
+     */
+    generateBody: function() {
+        var bodyTpl = [
+            '{[ this.renderCells(values) ]}'
+        ];
+
+        return bodyTpl.join('');
+    },
+    /**
+     * Returns the classes of the getRowClass function of the grid's view for a record row, see useRowClass.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.data.Model} rcd
+     * @returns {String} the classes with a leading space, empty for none
+     */
+    getRowCls: function(grid, rcd) {
+        // the views of locked grids share the viewConfig
+        var view = grid.normalGrid ? grid.normalGrid.getView() : grid.getView();
+        var store = grid.getStore();
+        var cls;
+
+        if (!this.getUseRowClass() || !view || !Ext.isFunction(view.getRowClass)) {
+            return '';
+        }
+
+        cls = view.getRowClass(rcd, store.indexOf(rcd), {}, store);
+        return cls ? ' ' + Ext.util.Format.htmlEncode(cls) : '';
+    },
+    /**
+     * Returns the cells of a record row, rendered by the renderColumn member of the template.
+     * @param {Ext.XTemplate} tpl the rows or group template
+     * @param {Ext.data.Model} rcd
+     * @returns {String}
+     */
+    renderCells: function(tpl, rcd) {
+        var html = '';
+        var i;
+
+        for (i = 0; i < tpl.columns.length; i++) {
+            html += tpl.renderColumn(tpl.columns[i], rcd.get(tpl.columns[i].dataIndex), rcd, i + 1);
         }
-        groups = newGroups;
+
+        return html;
+    },
+    /**
+     * Returns the template for the rows of grids without grouping. Its renderRows member renders
+     * a range of the printed records, see getTableSteps.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns
+     * @returns {Ext.XTemplate}
+     */
+    generateRowsBody: function(grid, columns) {
+        var me = this;
+
+        return Ext.create('Ext.XTemplate',
+            '<tpl for=".">',
+            '<tr class="{[ this.getRowParity(xindex) ]}{[ this.getRowCls(values) ]}">',
+            me.generateBody(),
+            '</tr>',
+            // row bodies of the rowexpander and nested detail tables
+            '<tpl if="this.hasRowDetail">',
+            '{[ this.renderRowDetail(values, xindex) ]}',
+            '</tpl>',
+            '<tpl if="this.hasTreeSubtotals">',
+            '{[ this.renderTreeSubtotals(values) ]}',
+            '</tpl>',
+            '</tpl>', {
+                grid: grid,
+                columns: columns,
+                hasRowDetail: !!(me.getRowExpander(grid) || me.getDetail()),
+                hasTreeSubtotals: me.getTreeSubtotals() && grid.getStore() instanceof Ext.data.TreeStore,
+                // all printed records and the index of the first rendered one
+                records: [],
+                rowOffset: 0,
+                renderRows: function(records, start, end) {
+                    this.records = records;
+                    this.rowOffset = start;
+                    return this.apply(records.slice(start, end));
+                },
+                getRowParity: function(xindex) {
+                    return (xindex + this.rowOffset) % 2 === 0 ? 'even' : 'odd';
+                },
+                renderColumn: function(column, value, rcd, col) {
+                    var meta = me.getMeta(column, value, rcd, col, this.grid.getStore());
+
+                    value = me.renderCellValue(this.grid, column, value, rcd, col, meta);
+                    return this.getHtml(value, meta);
+                },
+                renderCells: function(rcd) {
+                    return me.renderCells(this, rcd);
+                },
+                getRowCls: function(rcd) {
+                    return me.getRowCls(this.grid, rcd);
+                },
+                renderRowDetail: function(rcd, xindex) {
+                    return me.renderRowDetail(this.grid, rcd, this.columns.length, this.getRowParity(xindex));
+                },
+                renderTreeSubtotals: function(rcd) {
+                    var html = '';
+                    var tpl = this;
+
+                    // computed once for all printed records
+                    if (tpl.subtotalRecords !== tpl.records) {
+                        tpl.subtotalRecords = tpl.records;
+                        tpl.subtotalMap = me.getTreeSubtotalMap(tpl.records);
+                    }
+
+                    Ext.each(tpl.subtotalMap[rcd.internalId], function(folder) {
+                        html += me.renderTreeSubtotal(tpl.grid, tpl.columns, folder.node, folder.children);
+                    });
+                    return html;
+                },
+                getHtml: me.getHtml
+            }
+        );
+    },
+    /**
+     * Returns the template for grouped grids. It is applied to parts of the groups of the
+     * printed records, see getGroupParts and getTableSteps.
+     * @param {Ext.grid.Panel} grid
+     * @param {Ext.grid.column.Column[]} columns
+     * @param {Ext.grid.feature.Grouping} groupFeature
+     * @returns {Ext.XTemplate}
+     */
+    generateGroupBody: function(grid, columns, groupFeature) {
+        var me = this;
+        var groupingSummaryFeature = me.getFeature(grid, 'groupingsummary');
+        var bodyTpl;
 
         bodyTpl = [
             '<tpl for=".">',
-            '<tr class="group-header">',
-            '<td colspan="{[this.colSpan]}">',
-            '{[ this.applyGroupTpl(values) ]}',
+            '<tpl switch="type">',
+            '<tpl case="header">',
+            '<tr class="group-header group-header-level-{level}">',
+            '<td colspan="{[this.colSpan]}"{[ this.getIndentStyle(values.level) ]}>',
+            '{[ this.applyGroupTpl(values.group) ]}',
             '</td>',
             '</tr>',
-            '<tpl for="children">',
-            '<tr class="{[xindex % 2 === 0 ? "even" : "odd"]}">',
-            '<tpl for="this.columns">',
-            '{[ this.renderColumn(values, parent.get(values.dataIndex), parent, xindex) ]}',
-            '</tpl>',
+            '<tpl case="rows">',
+            '<tpl for="records">',
+            '<tr class="{[ this.getRowParity(xindex + parent.offset) ]}{[ this.getRowCls(values) ]}">',
+            '{[ this.renderCells(values) ]}',
             '</tr>',
+            '<tpl if="this.hasRowDetail">',
+            '{[ this.renderRowDetail(values, xindex + parent.offset) ]}',
+            '</tpl>',
             '</tpl>',
+            '<tpl case="summary">',
             '<tpl if="this.hasSummary">',
-            '<tr>',
+            // the summary values are computed once for the row
+            '{% this.prepareSummary(values.group); %}',
+            '<tr class="group-summary group-summary-level-{level}">',
             '<tpl for="this.columns">',
             '{[ this.renderSummary(values, xindex) ]}',
             '</tpl>',
             '</tr>',
             '</tpl>',
+            '</tpl>',
             '</tpl>', { // XTemplate configuration:
                 columns: columns,
-                groupColumn: groupColumn,
                 colSpan: columns.length,
                 grid: grid,
                 groupName: "",
-                groupTpl: groupFeature.groupHeaderTpl,
-                hasSummary: Ext.isObject(groupingSummaryFeature) && groupingSummaryFeature.showSummaryRow,
+                groupChildren: [],
+                summaryValues: [],
+                summaryRecord: null,
+                summaryData: null,
+                groupIndent: me.getGroupIndent(),
+                indentSide: me.isRtl(grid) ? 'right' : 'left',
+                hasSummary: Ext.isObject(groupingSummaryFeature) && groupingSummaryFeature.showSummaryRow && me.getShowSummary(),
                 summaryFeature: groupingSummaryFeature,
+                hasRowDetail: !!(me.getRowExpander(grid) || me.getDetail()),
                 // XTemplate member functions:
                 childCount: function(c) {
                     return c.length;
                 },
+                renderCells: function(rcd) {
+                    return me.renderCells(this, rcd);
+                },
+                getRowParity: function(index) {
+                    return index % 2 === 0 ? 'even' : 'odd';
+                },
+                getRowCls: function(rcd) {
+                    return me.getRowCls(this.grid, rcd);
+                },
+                renderRowDetail: function(rcd, index) {
+                    return me.renderRowDetail(this.grid, rcd, this.colSpan, this.getRowParity(index));
+                },
                 renderColumn: function(column, value, rcd, col) {
-                    var grid = this.grid;
-                    var store = grid.getStore();
-                    var view = grid.getView();
-                    var meta = me.getMeta(column, value, rcd, col, store);
-
-                    if (column.renderer) {
-                        value = column.renderer.call(grid, value, meta, rcd, -1, col - 1, store, view);
-                    }
+                    var meta = me.getMeta(column, value, rcd, col, this.grid.getStore());
 
+                    value = me.renderCellValue(this.grid, column, value, rcd, col, meta);
                     return this.getHtml(value, meta);
                 },
                 getHtml: me.getHtml,
-                renderSummary: function(column, colIndex) {
+                secureHtml: function(html, trusted) {
+                    return me.secureHtml(html, trusted);
+                },
+                encodeValue: function(value) {
+                    return me.encodeValue(value);
+                },
+                getAlign: function(column) {
+                    return me.getAlign(column);
+                },
+                prepareSummary: function(group) {
                     var me = this;
-                    var value;
-                    var summaryObject;
+                    var summaryRecord;
 
-                    if (me.summaryFeature.remoteRoot) {
-                        var summaryRecord = me.summaryFeature.summaryRecord || (new me.grid.view.store.model(null, me.grid.view.id + '-summary-record'));
+                    me.groupName = group.name;
+                    me.groupChildren = group.children;
+                    me.summaryValues = [];
+
+                    // remote summaries exist for the groups of the store only
+                    if (me.summaryFeature.remoteRoot && group.level === 0) {
+                        summaryRecord = me.summaryFeature.summaryRecord || (new me.grid.view.store.model(null, me.grid.view.id + '-summary-record'));
                         if (me.grid.view.store.proxy.reader.rawData) {
                             if (Ext.isArray(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot])) {
                                 summaryRecord.set(me.getSummaryRcd(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot], me.grid.store.groupField, me.groupName));
@@ -731,87 +4173,58 @@ Ext.define('Ext.ux.grid.Printer', {
                                 summaryRecord.set(me.grid.view.store.proxy.reader.rawData[me.summaryFeature.remoteRoot]);
                             }
                         }
-                        value = summaryRecord.get(column.dataIndex);
+                        Ext.each(me.columns, function(column) {
+                            me.summaryValues.push(summaryRecord.get(column.dataIndex));
+                        });
                     }
                     else {
-                        value = me.getSummary(me.grid.store, column.summaryType, column.dataIndex, me.grid.store.isGrouped());
+                        Ext.each(me.columns, function(column) {
+                            me.summaryValues.push(me.aggregateRecords(me.groupChildren, column.summaryType, column.dataIndex));
+                        });
                     }
 
-                    if (Ext.isObject(value)) {
-                        value = value[me.groupName];
-                    }
+                    me.summaryRecord = me.getSummaryRecord42();
+                    me.summaryData = me.getSummaryData(me.columns, me.summaryRecord);
+                },
+                renderSummary: function(column, colIndex) {
+                    var me = this;
+                    var value = me.summaryValues[colIndex - 1];
+                    var summaryObject;
 
                     if (column.summaryRenderer) {
                         summaryObject = me.getSummaryObject42(column, colIndex);
-                        value = column.summaryRenderer.call(me.grid,
-                            value,
-                            me.getSummaryObject42(column, colIndex),
-                            me.getSummaryRecord42(), -1,
-                            colIndex,
-                            me.grid.store,
-                            me.grid.view);
-
-                        return me.getHtml(value, summaryObject);
+                        value = me.callSummaryRenderer(column, value, me.summaryData, summaryObject);
+
+                        return me.getHtml(me.secureHtml(value, column.printTrustedHtml), summaryObject);
                     }
                     else {
                         if (!Ext.isDefined(value) || value == 0) {
                             value = '&nbsp;';
                         }
+                        else {
+                            value = me.encodeValue(value);
+                        }
                     }
 
                     return '<td><div>' + value + '</div></td>';
                 },
-                applyGroupTpl: function(rcd) {
-                    var me = this;
-                    // The only members in rcd are name and children
-                    me.groupName = rcd.name;
-                    rcd.groupField = me.grid.store.groupField;
-
-                    var meta = {
-                        'align': '',
-                        'cellIndex': -1,
-                        'classes': [],
-                        'column': me.groupColumn,
-                        'css': '',
-                        'innerCls': '',
-                        'record': rcd.children[0],
-                        'recordIndex': me.grid.store.indexOf(rcd.children[0]),
-                        'style': '',
-                        'tdAttr': '',
-                        'tdCls': '',
-                        'unselectableAttr': 'unselectable="on"',
-                        'value': rcd.name
-                    };
-
-                    if (me.groupColumn) {
-                        rcd.columnName = me.groupColumn.text;
-                    }
-                    else {
-                        rcd.columnName = me.groupField;
-                    }
-
-                    rcd.groupValue = rcd.name;
-
-                    if (me.groupColumn && me.groupColumn.renderer) {
-                        rcd.renderedGroupValue = me.groupColumn.renderer.call(me.grid, rcd.name, meta, rcd.children[0], -1, -1, me.grid.store, me.grid.view);
-                    }
-                    else {
-                        rcd.renderedGroupValue = rcd.name;
-                    }
-                    //rcd.rows = null;  // We don't support rcd.rows yet
-                    return me.groupTpl.apply(rcd);
+                getIndentStyle: function(level) {
+                    // the nested groups are indented inline, so any depth is indented
+                    return level ? ' style="padding-' + this.indentSide + ': ' + (level * this.groupIndent) + 'px;"' : '';
+                },
+                applyGroupTpl: function(group) {
+                    this.groupName = group.name;
+                    this.groupChildren = group.children;
+                    return me.renderGroupHeader(this.grid, groupFeature, group.name, group.children, group.property);
                 },
                 getSummaryObject: function(align) {
                     var me = this;
                     var summaryValues = {};
                     for (var i = 0; i < me.columns.length; i++) {
-                        var valueObject = me.getSummary(me.grid.store, me.columns[i].summaryType, me.columns[i].dataIndex, me.grid.store.isGrouped());
+                        var valueObject = me.aggregateRecords(me.groupChildren, me.columns[i].summaryType, me.columns[i].dataIndex);
                         if (!Ext.isDefined(valueObject)) {
                             continue; // Do nothing
                         }
-                        else if (Ext.isObject(valueObject)) {
-                            summaryValues[columns[i].id] = valueObject[me.groupName];
-                        }
                         else {
                             summaryValues[columns[i].id] = valueObject;
                         }
@@ -823,13 +4236,10 @@ Ext.define('Ext.ux.grid.Printer', {
                     var me = this;
                     var rcd = Ext.create(me.grid.store.model);
                     for (var i = 0; i < me.columns.length; i++) {
-                        var valueObject = me.getSummary(me.grid.store, me.columns[i].summaryType, me.columns[i].dataIndex, me.grid.store.isGrouped());
-                        if (!Ext.isDefomed(valueObject)) {
+                        var valueObject = me.summaryValues[i];
+                        if (!Ext.isDefined(valueObject)) {
                             continue; // Do nothing
                         }
-                        else if (Ext.isObject(valueObject)) {
-                            rcd.set(me.columns[i].dataIndex, valueObject[me.groupName]);
-                        }
                         else {
                             rcd.set(me.columns[i].dataIndex, valueObject);
                         }
@@ -838,12 +4248,12 @@ Ext.define('Ext.ux.grid.Printer', {
                 },
                 getSummaryObject42: function(column, colIndex) {
                     return {
-                        align: column.align,
+                        align: this.getAlign(column),
                         cellIndex: colIndex,
                         classes: [],
                         css: '',
                         innerCls: '',
-                        record: this.getSummaryRecord42(),
+                        record: this.summaryRecord,
                         recordIndex: -1,
                         style: '',
                         tdAttr: '',
@@ -852,7 +4262,13 @@ Ext.define('Ext.ux.grid.Printer', {
                         value: '&#160;'
                     };
                 },
-                getSummary: me.getSummary,
+                aggregateRecords: me.aggregateRecords,
+                getSummaryData: function(columns, summaryRecord) {
+                    return me.getSummaryData(columns, summaryRecord);
+                },
+                callSummaryRenderer: function(column, value, summaryData, meta) {
+                    return me.callSummaryRenderer(column, value, summaryData, meta);
+                },
                 // return the record having fieldName == value
                 getSummaryRcd: function(rawDataObject, fieldName, value) {
                     if (Ext.isArray(rawDataObject)) {
@@ -874,7 +4290,7 @@ Ext.define('Ext.ux.grid.Printer', {
             }
         ];
 
-        return Ext.create('Ext.XTemplate', bodyTpl).apply(groups);
+        return Ext.create('Ext.XTemplate', bodyTpl);
     },
     /**
      * Returns the meta object.
@@ -888,7 +4304,7 @@ Ext.define('Ext.ux.grid.Printer', {
     getMeta: function(column, value, rcd, col, store) {
         var me = this;
         return {
-            'align': column.align,
+            'align': me.getAlign(column),
             'cellIndex': col,
             'classes': [],
             'column': column,
@@ -0,0 +1,345 @@
+/**
+ * @class Ext.ux.grid.PrinterDialog
+ * Window shown by {@link Ext.ux.grid.Printer} before printing when showDialog is true.
+ * Users choose the columns and their order, selection or all records, the orientation,
+ * the title and whether summaries are printed.
+ *
+ * The choices are saved with Ext.state.Manager under 'gridprinter-' followed by the
+ * stateId of the grid and restored the next time the dialog opens for that grid.
+ * Grids without stateId start with the config of the printer every time.
+ */
+Ext.define('Ext.ux.grid.PrinterDialog', {
+    extend: 'Ext.window.Window',
+    alias: 'widget.gridprinterdialog',
+
+    requires: [
+        'Ext.data.Store',
+        'Ext.form.Panel',
+        'Ext.form.field.Text',
+        'Ext.form.field.Checkbox',
+        'Ext.form.RadioGroup',
+        'Ext.grid.Panel',
+        'Ext.grid.column.Check',
+        'Ext.grid.plugin.DragDrop',
+        'Ext.state.Manager'
+    ],
+
+    /**
+     * @cfg {Ext.ux.grid.Printer} printer the printer the options are for
+     */
+    printer: null,
+    /**
+     * @cfg {Ext.grid.Panel} grid the grid to print
+     */
+    grid: null,
+
+    title: 'Print Options',
+    modal: true,
+    width: 400,
+    height: 480,
+    layout: 'fit',
+
+    /**
+     * @cfg {String} mainTitleText label of the title field
+     */
+    mainTitleText: 'Title',
+    /**
+     * @cfg {String} recordsText label of the record choice
+     */
+    recordsText: 'Records',
+    /**
+     * @cfg {String} allRecordsText
+     */
+    allRecordsText: 'All records',
+    /**
+     * @cfg {String} selectionText
+     */
+    selectionText: 'Selected records',
+    /**
+     * @cfg {String} orientationText label of the orientation choice
+     */
+    orientationText: 'Orientation',
+    /**
+     * @cfg {String} portraitText
+     */
+    portraitText: 'Portrait',
+    /**
+     * @cfg {String} landscapeText
+     */
+    landscapeText: 'Landscape',
+    /**
+     * @cfg {String} summaryText label of the summaries checkbox
+     */
+    summaryText: 'Include summaries',
+    /**
+     * @cfg {String} columnsText label of the column list
+     */
+    columnsText: 'Columns (drag to reorder)',
+    /**
+     * @cfg {String} printText text of the print button
+     */
+    printText: 'Print',
+    /**
+     * @cfg {String} cancelText text of the cancel button
+     */
+    cancelText: 'Cancel',
+
+    /**
+     * Fires when the user confirmed the options with the print button.
+     * @event confirm
+     * @param {Ext.ux.grid.PrinterDialog} dialog
+     * @param {Object} options printColumns, recordSource, orientation, mainTitle and showSummary
+     */
+
+    /**
+     * Fires when the dialog was closed without printing.
+     * @event cancel
+     * @param {Ext.ux.grid.PrinterDialog} dialog
+     */
+
+    initComponent: function() {
+        var me = this;
+        var printer = me.printer;
+        var grid = me.grid;
+        var options = me.getInitialOptions();
+        var recordSource = printer.getRecordSource();
+        var hasSummary = !!(printer.getFeature(grid, 'summary') || printer.getFeature(grid, 'groupingsummary'));
+        var hasSelection = grid.getSelectionModel().hasSelection();
+
+        me.items = [{
+            xtype: 'form',
+            border: false,
+            bodyPadding: 10,
+            layout: {
+                type: 'vbox',
+                align: 'stretch'
+            },
+            defaults: {
+                labelWidth: 90
+            },
+            items: [{
+                xtype: 'textfield',
+                itemId: 'mainTitle',
+                fieldLabel: me.mainTitleText,
+                value: options.mainTitle
+            }, {
+                xtype: 'radiogroup',
+                itemId: 'recordSource',
+                fieldLabel: me.recordsText,
+                // records returned by a function can't be chosen
+                hidden: Ext.isFunction(recordSource),
+                items: [{
+                    boxLabel: me.allRecordsText,
+                    name: 'recordSource',
+                    inputValue: (recordSource === 'selection' || Ext.isFunction(recordSource)) ? 'filtered' : recordSource,
+                    checked: options.recordSource !== 'selection' || !hasSelection
+                }, {
+                    boxLabel: me.selectionText,
+                    name: 'recordSource',
+                    inputValue: 'selection',
+                    disabled: !hasSelection,
+                    checked: options.recordSource === 'selection' && hasSelection
+                }]
+            }, {
+                xtype: 'radiogroup',
+                itemId: 'orientation',
+                fieldLabel: me.orientationText,
+                items: [{
+                    boxLabel: me.portraitText,
+                    name: 'orientation',
+                    inputValue: 'portrait',
+                    checked: options.orientation !== 'landscape'
+                }, {
+                    boxLabel: me.landscapeText,
+                    name: 'orientation',
+                    inputValue: 'landscape',
+                    checked: options.orientation === 'landscape'
+                }]
+            }, {
+                xtype: 'checkbox',
+                itemId: 'showSummary',
+                boxLabel: me.summaryText,
+                hideEmptyLabel: false,
+                hidden: !hasSummary,
+                checked: options.showSummary
+            }, {
+                xtype: 'gridpanel',
+                itemId: 'columns',
+                title: me.columnsText,
+                flex: 1,
+                hideHeaders: true,
+                store: Ext.create('Ext.data.Store', {
+                    fields: ['key', 'text', 'print'],
+                    data: options.columns
+                }),
+                columns: [{
+                    xtype: 'checkcolumn',
+                    dataIndex: 'print',
+                    width: 40
+                }, {
+                    dataIndex: 'text',
+                    renderer: 'htmlEncode',
+                    flex: 1
+                }],
+                viewConfig: {
+                    plugins: {
+                        ptype: 'gridviewdragdrop'
+                    }
+                }
+            }]
+        }];
+
+        me.buttons = [{
+            text: me.printText,
+            handler: me.onPrintClick,
+            scope: me
+        }, {
+            text: me.cancelText,
+            handler: me.close,
+            scope: me
+        }];
+
+        me.callParent(arguments);
+        me.on('close', me.onDialogClose, me);
+    },
+
+    /**
+     * Returns the key of the saved options, null if the grid has no stateId.
+     * @returns {String}
+     */
+    getStateKey: function() {
+        var stateId = this.grid.stateId;
+
+        return stateId ? 'gridprinter-' + stateId : null;
+    },
+
+    /**
+     * Returns the options to show: the saved options of the grid or the config of the printer.
+     * The columns are all printable columns with key, text and print flag in print order.
+     * @returns {Object}
+     */
+    getInitialOptions: function() {
+        var me = this;
+        var printer = me.printer;
+        var grid = me.grid;
+        var key = me.getStateKey();
+        var saved = (key && Ext.state.Manager.get(key)) || {};
+        var groupFeature = printer.getGroupFeature(grid);
+        var available = printer.getAvailableColumns(grid, !!groupFeature, groupFeature ? groupFeature.getGroupField() : null);
+        var printColumns = printer.getPrintColumns();
+        var order = saved.columns || Ext.Array.map(printColumns || [], function(columnKey) {
+            return {
+                key: columnKey,
+                print: true
+            };
+        });
+        var columns = [];
+
+        // saved or configured columns first, in their order
+        Ext.each(order, function(item) {
+            var column = Ext.Array.findBy(available, function(col) {
+                return printer.getColumnKey(col) === item.key;
+            });
+
+            if (column) {
+                Ext.Array.remove(available, column);
+                columns.push(me.getColumnData(column, item.print));
+            }
+        });
+
+        // columns added to the grid since, printed unless printColumns chooses the columns
+        Ext.each(available, function(column) {
+            columns.push(me.getColumnData(column, !saved.columns && !printColumns));
+        });
+
+        return {
+            columns: columns,
+            recordSource: Ext.isDefined(saved.recordSource) ? saved.recordSource : printer.getRecordSource(),
+            orientation: saved.orientation || printer.getOrientation(),
+            mainTitle: Ext.isDefined(saved.mainTitle) ? saved.mainTitle : printer.getMainTitle(),
+            showSummary: Ext.isDefined(saved.showSummary) ? saved.showSummary : printer.getShowSummary()
+        };
+    },
+
+    /**
+     * @param {Ext.grid.column.Column} column
+     * @param {Boolean} print
+     * @returns {Object} the data of the column list
+     */
+    getColumnData: function(column, print) {
+        return {
+            key: this.printer.getColumnKey(column),
+            text: this.printer.toPlainText(this.printer.getColumnText(column)) || column.dataIndex,
+            print: print
+        };
+    },
+
+    /**
+     * Returns the options chosen in the dialog.
+     * @returns {Object} printColumns, recordSource, orientation, mainTitle and showSummary
+     */
+    getOptions: function() {
+        var me = this;
+        var options = {
+            printColumns: [],
+            orientation: me.down('#orientation').getValue().orientation,
+            mainTitle: me.down('#mainTitle').getValue(),
+            showSummary: me.down('#showSummary').getValue()
+        };
+
+        if (!me.down('#recordSource').hidden) {
+            options.recordSource = me.down('#recordSource').getValue().recordSource;
+        }
+
+        me.down('#columns').getStore().each(function(rcd) {
+            if (rcd.get('print')) {
+                options.printColumns.push(rcd.get('key'));
+            }
+        });
+
+        return options;
+    },
+
+    /**
+     * Saves the chosen options for the grid, including the order of the columns not printed.
+     * @param {Object} options
+     */
+    saveOptions: function(options) {
+        var key = this.getStateKey();
+        var state;
+
+        if (!key) {
+            return;
+        }
+
+        state = Ext.apply({
+            columns: []
+        }, options);
+        delete state.printColumns;
+
+        this.down('#columns').getStore().each(function(rcd) {
+            state.columns.push({
+                key: rcd.get('key'),
+                print: rcd.get('print')
+            });
+        });
+
+        Ext.state.Manager.set(key, state);
+    },
+
+    onPrintClick: function() {
+        var me = this;
+        var options = me.getOptions();
+
+        me.saveOptions(options);
+        me.confirmed = true;
+        me.fireEvent('confirm', me, options);
+        me.close();
+    },
+
+    onDialogClose: function() {
+        if (!this.confirmed) {
+            this.fireEvent('cancel', this);
+        }
+    }
+});
@@ -0,0 +1,443 @@
+/**
+ * @class Ext.ux.grid.PrinterExporter
+ * Encodes the rows collected by {@link Ext.ux.grid.Printer#export} as CSV or XLSX
+ * and saves the result as a file download.
+ *
+ * A row is an object with a type ('header', 'group', 'data' or 'summary') and an
+ * array of cells. Each cell holds the typed value (Number, Date or String) and the
+ * plain text shown on screen.
+ *
+ *     {
+ *         type: 'data',
+ *         cells: [{value: 71.72, text: '$71.72'}, {value: 'Alcoa Inc', text: 'Alcoa Inc'}]
+ *     }
+ *
+ * The XLSX file is a minimal Office Open XML workbook with a single sheet, packed
+ * into an uncompressed zip archive so no external library is needed.
+ */
+Ext.define('Ext.ux.grid.PrinterExporter', {
+    singleton: true,
+
+    /**
+     * Returns the rows as a CSV Blob. Cells contain the plain text of each cell.
+     * @param {Object[]} rows
+     * @param {String} [separator=',']
+     * @param {Boolean} [escapeFormulas=false] true to prefix cells spreadsheets would read as formula with an apostrophe
+     * @returns {Blob}
+     */
+    toCsv: function(rows, separator, escapeFormulas) {
+        var me = this;
+        var lines = [];
+
+        separator = separator || ',';
+
+        Ext.each(rows, function(row) {
+            var fields = [];
+
+            Ext.each(row.cells, function(cell) {
+                var text = Ext.isEmpty(cell.text) ? '' : String(cell.text);
+
+                if (escapeFormulas) {
+                    text = me.escapeFormula(text);
+                }
+                fields.push(me.quoteCsv(text, separator));
+            });
+            lines.push(fields.join(separator));
+        });
+
+        // byte order mark so Excel detects the encoding
+        return new Blob(['\ufeff' + lines.join('\r\n')], {
+            type: 'text/csv;charset=utf-8'
+        });
+    },
+    /**
+     * Quotes a CSV field when it contains the separator, quotes or line breaks.
+     * @private
+     * @param {String} text
+     * @param {String} separator
+     * @returns {String}
+     */
+    quoteCsv: function(text, separator) {
+        text = Ext.isEmpty(text) ? '' : String(text);
+
+        if (text.indexOf(separator) !== -1 || /["\r\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"';
+        }
+
+        return text;
+    },
+    /**
+     * Prefixes text starting with =, +, -, @, a tab or a carriage return with an apostrophe, so
+     * that spreadsheets show it as text instead of evaluating it. Numbers like -12.5 are kept.
+     * @private
+     * @param {String} text
+     * @returns {String}
+     */
+    escapeFormula: function(text) {
+        if (/^[=+\-@\t\r]/.test(text) && !/^[+\-]?\d[\d.,]*$/.test(text)) {
+            return "'" + text;
+        }
+
+        return text;
+    },
+    /**
+     * Returns the rows as a XLSX Blob. Numbers and dates are written as typed cells,
+     * header, group and summary rows are bold and group rows span all columns.
+     * @param {Object[]} rows
+     * @param {String} [sheetName='Sheet1']
+     * @returns {Blob}
+     */
+    toXlsx: function(rows, sheetName) {
+        var me = this;
+        var files = [{
+            name: '[Content_Types].xml',
+            data: [
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+                '<Default Extension="xml" ContentType="application/xml"/>',
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+                '</Types>'
+            ].join('')
+        }, {
+            name: '_rels/.rels',
+            data: [
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+                '</Relationships>'
+            ].join('')
+        }, {
+            name: 'xl/workbook.xml',
+            data: [
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ',
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+                '<sheets><sheet name="' + me.encodeXml(me.getSheetName(sheetName)) + '" sheetId="1" r:id="rId1"/></sheets>',
+                '</workbook>'
+            ].join('')
+        }, {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: [
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+                '</Relationships>'
+            ].join('')
+        }, {
+            // cell styles: 0 default, 1 bold, 2 date, 3 bold date
+            name: 'xl/styles.xml',
+            data: [
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>',
+                '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+                '<fills count="2"><fill><patternFill patternType="none"/></fill>',
+                '<fill><patternFill patternType="gray125"/></fill></fills>',
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+                '<cellXfs count="4">',
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+                '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+                '<xf numFmtId="22" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>',
+                '</cellXfs>',
+                '</styleSheet>'
+            ].join('')
+        }, {
+            name: 'xl/worksheets/sheet1.xml',
+            data: me.getSheetXml(rows)
+        }];
+
+        return new Blob([me.zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+    /**
+     * Returns the worksheet xml for the rows.
+     * @private
+     * @param {Object[]} rows
+     * @returns {String}
+     */
+    getSheetXml: function(rows) {
+        var me = this;
+        var xml = [];
+        var merges = [];
+        var colCount = 0;
+
+        Ext.each(rows, function(row, rowIdx) {
+            var bold = row.type !== 'data';
+            var rowNumber = rowIdx + 1;
+
+            xml.push('<row r="' + rowNumber + '">');
+            Ext.each(row.cells, function(cell, colIdx) {
+                xml.push(me.getCellXml(cell, me.getCellRef(colIdx, rowNumber), bold));
+            });
+            xml.push('</row>');
+
+            colCount = Math.max(colCount, row.cells.length);
+            if (row.type === 'group') {
+                merges.push(rowNumber);
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+            '<sheetData>',
+            xml.join(''),
+            '</sheetData>',
+            (merges.length && colCount > 1) ? me.getMergeXml(merges, colCount) : '',
+            '</worksheet>'
+        ].join('');
+    },
+    /**
+     * Returns the merge definitions spanning group rows over all columns.
+     * @private
+     */
+    getMergeXml: function(rowNumbers, colCount) {
+        var me = this;
+        var xml = ['<mergeCells count="' + rowNumbers.length + '">'];
+
+        Ext.each(rowNumbers, function(rowNumber) {
+            xml.push('<mergeCell ref="' + me.getCellRef(0, rowNumber) + ':' + me.getCellRef(colCount - 1, rowNumber) + '"/>');
+        });
+        xml.push('</mergeCells>');
+
+        return xml.join('');
+    },
+    /**
+     * Returns the xml of a single cell, numbers and dates are written typed.
+     * @private
+     */
+    getCellXml: function(cell, ref, bold) {
+        var value = cell.value;
+
+        if (Ext.isNumber(value) && isFinite(value)) {
+            return '<c r="' + ref + '"' + (bold ? ' s="1"' : '') + '><v>' + value + '</v></c>';
+        }
+
+        if (Ext.isDate(value)) {
+            return '<c r="' + ref + '" s="' + (bold ? 3 : 2) + '"><v>' + this.getDateSerial(value) + '</v></c>';
+        }
+
+        if (Ext.isEmpty(cell.text)) {
+            return '';
+        }
+
+        return '<c r="' + ref + '" t="inlineStr"' + (bold ? ' s="1"' : '') + '><is><t xml:space="preserve">' +
+            this.encodeXml(cell.text) + '</t></is></c>';
+    },
+    /**
+     * Returns the spreadsheet reference (A1, B1, ..., AA1) of a zero based column index.
+     * @private
+     */
+    getCellRef: function(colIdx, rowNumber) {
+        var name = '';
+
+        colIdx++;
+        while (colIdx > 0) {
+            name = String.fromCharCode(65 + (colIdx - 1) % 26) + name;
+            colIdx = Math.floor((colIdx - 1) / 26);
+        }
+
+        return name + rowNumber;
+    },
+    /**
+     * Returns the spreadsheet serial number of a date in local time.
+     * @private
+     */
+    getDateSerial: function(date) {
+        var utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+
+        // 25569 is the serial of 1970-01-01
+        return utc / 86400000 + 25569;
+    },
+    /**
+     * Returns a sheet name without the characters the format forbids.
+     * @private
+     */
+    getSheetName: function(name) {
+        name = String(name || '').replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 31);
+        return Ext.String.trim(name) || 'Sheet1';
+    },
+    /**
+     * @private
+     */
+    encodeXml: function(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // characters not allowed in xml 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    },
+    /**
+     * Encodes a string as UTF-8 bytes.
+     * @private
+     * @param {String} text
+     * @returns {Uint8Array}
+     */
+    toUtf8: function(text) {
+        var binary, bytes, i;
+
+        if (window.TextEncoder) {
+            return new TextEncoder().encode(text);
+        }
+
+        binary = unescape(encodeURIComponent(text));
+        bytes = new Uint8Array(binary.length);
+        for (i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes;
+    },
+    /**
+     * Packs the files into an uncompressed (stored) zip archive.
+     * @private
+     * @param {Object[]} files objects with name and data strings
+     * @returns {Uint8Array}
+     */
+    zip: function(files) {
+        var me = this;
+        var entries = [];
+        var size = 22; // end of central directory record
+        var offset = 0;
+        var centralSize = 0;
+        var out, view, pos;
+
+        Ext.each(files, function(file) {
+            var entry = {
+                name: me.toUtf8(file.name),
+                data: me.toUtf8(file.data)
+            };
+
+            entry.crc = me.crc32(entry.data);
+            entry.offset = offset;
+            offset += 30 + entry.name.length + entry.data.length;
+            centralSize += 46 + entry.name.length;
+            entries.push(entry);
+        });
+
+        size += offset + centralSize;
+        out = new Uint8Array(size);
+        view = new DataView(out.buffer);
+        pos = 0;
+
+        // local file headers followed by the data
+        Ext.each(entries, function(entry) {
+            pos = _writeHeader(0x04034b50, entry, false);
+            out.set(entry.name, pos);
+            pos += entry.name.length;
+            out.set(entry.data, pos);
+            pos += entry.data.length;
+        });
+
+        // central directory
+        Ext.each(entries, function(entry) {
+            pos = _writeHeader(0x02014b50, entry, true);
+            out.set(entry.name, pos);
+            pos += entry.name.length;
+        });
+
+        // end of central directory record
+        view.setUint32(pos, 0x06054b50, true);
+        view.setUint16(pos + 8, entries.length, true);
+        view.setUint16(pos + 10, entries.length, true);
+        view.setUint32(pos + 12, centralSize, true);
+        view.setUint32(pos + 16, offset, true);
+
+        return out;
+
+        // writes a local (30 bytes) or central (46 bytes) header at pos
+        // and returns the position after it
+        function _writeHeader(signature, entry, central) {
+            var p = pos;
+
+            view.setUint32(p, signature, true);
+            p += 4;
+            if (central) {
+                view.setUint16(p, 20, true); // version made by
+                p += 2;
+            }
+            view.setUint16(p, 20, true); // version needed
+            view.setUint16(p + 2, 0x0800, true); // utf-8 file names
+            view.setUint16(p + 4, 0, true); // stored
+            view.setUint16(p + 6, 0, true); // time
+            view.setUint16(p + 8, 0x21, true); // date: 1980-01-01
+            view.setUint32(p + 10, entry.crc, true);
+            view.setUint32(p + 14, entry.data.length, true);
+            view.setUint32(p + 18, entry.data.length, true);
+            view.setUint16(p + 22, entry.name.length, true);
+            p += 26; // extra field length stays 0
+
+            if (central) {
+                // comment length, disk number and attributes stay 0
+                view.setUint32(p + 10, entry.offset, true);
+                p += 14;
+            }
+
+            return p;
+        }
+    },
+    /**
+     * @private
+     * @param {Uint8Array} bytes
+     * @returns {Number} the unsigned CRC-32 checksum
+     */
+    crc32: function(bytes) {
+        var table = this.crcTable;
+        var crc = -1;
+        var i, j, c;
+
+        if (!table) {
+            table = this.crcTable = [];
+            for (i = 0; i < 256; i++) {
+                c = i;
+                for (j = 0; j < 8; j++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[i] = c;
+            }
+        }
+
+        for (i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ -1) >>> 0;
+    },
+    /**
+     * Saves the Blob as file download.
+     * @param {Blob} blob
+     * @param {String} fileName
+     */
+    save: function(blob, fileName) {
+        var url, link;
+
+        if (window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(blob, fileName);
+            return;
+        }
+
+        url = window.URL.createObjectURL(blob);
+        link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // give the browser time to start the download before releasing the url
+        Ext.defer(function() {
+            window.URL.revokeObjectURL(url);
+        }, 1000);
+    }
+});
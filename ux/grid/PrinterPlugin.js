@@ -0,0 +1,214 @@
+/**
+ * @class Ext.ux.grid.PrinterPlugin
+ * Grid plugin wrapping {@link Ext.ux.grid.Printer}. It holds the print config of the
+ * grid and adds the ways to start printing: a button in a docked toolbar or a tool in
+ * the header, Ctrl+P while the grid has the focus and a "Print" entry in the column
+ * header menu.
+ *
+ *     Ext.create('Ext.grid.Panel', {
+ *         plugins: [{
+ *             ptype: 'gridprinter',
+ *             printer: {
+ *                 printAutomatically: true,
+ *                 mainTitle: 'Companies'
+ *             }
+ *         }],
+ *         ...
+ *     });
+ *
+ * The printer is available with getPrinter, plugin.print() prints the grid.
+ */
+Ext.define('Ext.ux.grid.PrinterPlugin', {
+    extend: 'Ext.plugin.Abstract',
+    alias: 'plugin.gridprinter',
+
+    requires: [
+        'Ext.ux.grid.Printer',
+        'Ext.util.KeyMap'
+    ],
+
+    config: {
+        /**
+         * Config of the Ext.ux.grid.Printer or a printer instance.
+         * @accessor
+         * @cfg {Object/Ext.ux.grid.Printer} printer
+         */
+        printer: {},
+        /**
+         * Where to add the print button: 'toolbar' for a button in the docked toolbar
+         * (a toolbar is created if the grid has none), 'tool' for a tool in the header
+         * or false for no button.
+         * @accessor
+         * @cfg {String/Boolean} [button='toolbar']
+         */
+        button: 'toolbar',
+        /**
+         * Dock position of the toolbar the button is added to
+         * @accessor
+         * @cfg {String} [buttonDock='top']
+         */
+        buttonDock: 'top',
+        /**
+         * Text of the print button, the tooltip of the tool and the column menu entry
+         * @accessor
+         * @cfg {String} [buttonText='Print']
+         */
+        buttonText: 'Print',
+        /**
+         * Icon class of the print button and the column menu entry
+         * @accessor
+         * @cfg {String} [buttonIconCls=null]
+         */
+        buttonIconCls: null,
+        /**
+         * True to print with Ctrl+P while the grid has the focus instead of printing the page.
+         * @accessor
+         * @cfg {Boolean} [keyBinding=true]
+         */
+        keyBinding: true,
+        /**
+         * True to add a "Print" entry to the column header menu.
+         * @accessor
+         * @cfg {Boolean} [menuItem=true]
+         */
+        menuItem: true
+    },
+
+    /**
+     * Creates the printer from the printer config.
+     * @param {Object/Ext.ux.grid.Printer} printer
+     * @returns {Ext.ux.grid.Printer}
+     */
+    applyPrinter: function(printer) {
+        if (printer instanceof Ext.ux.grid.Printer) {
+            return printer;
+        }
+
+        return Ext.create('Ext.ux.grid.Printer', printer);
+    },
+
+    /**
+     * Adds the button, the key binding and the menu entry to the grid.
+     * @param {Ext.grid.Panel} grid
+     */
+    init: function(grid) {
+        var me = this;
+
+        me.setCmp(grid);
+
+        if (me.getButton() === 'tool') {
+            grid.addTool({
+                type: 'print',
+                tooltip: me.getButtonText(),
+                handler: me.onPrintAction,
+                scope: me
+            });
+        }
+        else if (me.getButton()) {
+            me.addButton(grid);
+        }
+
+        if (me.getKeyBinding()) {
+            if (grid.rendered) {
+                me.bindKeys(grid);
+            }
+            else {
+                grid.on('afterrender', me.bindKeys, me, {
+                    single: true
+                });
+            }
+        }
+
+        if (me.getMenuItem()) {
+            // both sides of a locked grid have their own header menu
+            Ext.each(grid.lockable ? [grid.lockedGrid, grid.normalGrid] : [grid], function(panel) {
+                panel.headerCt.on('menucreate', me.onMenuCreate, me);
+            });
+        }
+    },
+
+    /**
+     * Adds the print button to the docked toolbar, creates the toolbar if needed.
+     * @param {Ext.grid.Panel} grid
+     */
+    addButton: function(grid) {
+        var me = this;
+        var dock = me.getButtonDock();
+        var toolbar = grid.getDockedItems('toolbar[dock="' + dock + '"]')[0];
+        var button = {
+            text: me.getButtonText(),
+            iconCls: me.getButtonIconCls(),
+            handler: me.onPrintAction,
+            scope: me
+        };
+
+        if (toolbar) {
+            toolbar.add(button);
+        }
+        else {
+            grid.addDocked({
+                xtype: 'toolbar',
+                dock: dock,
+                items: [button]
+            });
+        }
+    },
+
+    /**
+     * Binds Ctrl+P to the element of the grid.
+     * @param {Ext.grid.Panel} grid
+     */
+    bindKeys: function(grid) {
+        var me = this;
+
+        me.keyMap = new Ext.util.KeyMap({
+            target: grid.getEl(),
+            key: Ext.event.Event.P,
+            ctrl: true,
+            defaultEventAction: 'stopEvent',
+            handler: me.onPrintAction,
+            scope: me
+        });
+    },
+
+    /**
+     * Adds the print entry to a column header menu.
+     * @param {Ext.grid.header.Container} headerCt
+     * @param {Ext.menu.Menu} menu
+     */
+    onMenuCreate: function(headerCt, menu) {
+        var me = this;
+
+        menu.add('-', {
+            text: me.getButtonText(),
+            iconCls: me.getButtonIconCls(),
+            handler: me.onPrintAction,
+            scope: me
+        });
+    },
+
+    /**
+     * Prints the grid, see Ext.ux.grid.Printer#print.
+     * @returns {Promise}
+     */
+    print: function() {
+        return this.getPrinter().print(this.getCmp());
+    },
+
+    /**
+     * Prints from the button, the tool, the menu entry or the key binding. Cancelled and
+     * failed prints are reported by the events of the printer, the rejection of the
+     * Promise is handled here.
+     */
+    onPrintAction: function() {
+        this.print().then(null, Ext.emptyFn);
+    },
+
+    destroy: function() {
+        var me = this;
+
+        Ext.destroy(me.keyMap);
+        me.keyMap = null;
+        me.callParent();
+    }
+});
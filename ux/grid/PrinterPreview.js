@@ -0,0 +1,375 @@
+/**
+ * @class Ext.ux.grid.PrinterPreview
+ * Window shown by {@link Ext.ux.grid.Printer} when output is 'preview'. The print document
+ * is rendered into an iframe of the window, the toolbar pages through it, zooms and changes
+ * the orientation, summaries and criteria. Changed options regenerate the document with the
+ * generate function, they apply to this preview only and leave the config of the printer as
+ * it is. The print button prints the previewed document itself.
+ *
+ * The pages are estimated from the printable height of the page, the browser may break
+ * the pages slightly differently.
+ */
+Ext.define('Ext.ux.grid.PrinterPreview', {
+    extend: 'Ext.window.Window',
+    alias: 'widget.gridprinterpreview',
+
+    requires: [
+        'Ext.button.Segmented',
+        'Ext.form.field.ComboBox',
+        'Ext.form.field.Checkbox',
+        'Ext.toolbar.TextItem'
+    ],
+
+    /**
+     * @cfg {Ext.ux.grid.Printer} printer the printer which generates the document
+     */
+    printer: null,
+    /**
+     * @cfg {Ext.grid.Panel} grid the printed grid, null when several sections are printed
+     */
+    grid: null,
+    /**
+     * @cfg {Function} generate returns the print document regenerated with the printer configs
+     * passed to it, the options of the preview
+     */
+    generate: null,
+    /**
+     * @cfg {String} html the print document
+     */
+    html: '',
+
+    title: 'Print Preview',
+    modal: true,
+    maximizable: true,
+    width: 900,
+    height: 650,
+    layout: 'fit',
+
+    /**
+     * @cfg {String} printText text of the print button
+     */
+    printText: 'Print',
+    /**
+     * @cfg {String} pageText text of the page display, {0} is the current page and {1} the page count
+     */
+    pageText: 'Page {0} of {1}',
+    /**
+     * @cfg {String} portraitText
+     */
+    portraitText: 'Portrait',
+    /**
+     * @cfg {String} landscapeText
+     */
+    landscapeText: 'Landscape',
+    /**
+     * @cfg {String} summaryText label of the summaries checkbox
+     */
+    summaryText: 'Summaries',
+    /**
+     * @cfg {String} criteriaText label of the criteria checkbox
+     */
+    criteriaText: 'Filters and sorting',
+    /**
+     * @cfg {Number[]} zoomLevels the zoom levels of the zoom combo
+     */
+    zoomLevels: [0.5, 0.75, 1, 1.25, 1.5, 2],
+
+    /**
+     * Fires when the previewed document finished loading, also after it was regenerated.
+     * @event documentReady
+     * @param {Ext.ux.grid.PrinterPreview} preview
+     * @param {Window} printWindow the window of the iframe
+     */
+
+    /**
+     * Fires after the print dialog of the previewed document was closed.
+     * @event printed
+     * @param {Ext.ux.grid.PrinterPreview} preview
+     * @param {Window} printWindow the window of the iframe
+     */
+
+    /**
+     * Fires when the preview was closed without printing.
+     * @event cancel
+     * @param {Ext.ux.grid.PrinterPreview} preview
+     */
+
+    initComponent: function() {
+        var me = this;
+        var printer = me.printer;
+        var hasSummary = !me.grid || !!(printer.getFeature(me.grid, 'summary') || printer.getFeature(me.grid, 'groupingsummary'));
+
+        // the options of this preview, applied to the printer while generating only
+        me.options = {
+            orientation: printer.getOrientation(),
+            showSummary: printer.getShowSummary(),
+            showCriteria: printer.getShowCriteria()
+        };
+        me.zoom = 1;
+        me.page = 1;
+        me.pageCount = 1;
+
+        me.tbar = [{
+            text: me.printText,
+            handler: me.printDocument,
+            scope: me
+        }, '-', {
+            itemId: 'prevPage',
+            iconCls: Ext.baseCSSPrefix + 'tbar-page-prev',
+            disabled: true,
+            handler: function() {
+                me.showPage(me.page - 1);
+            }
+        }, {
+            xtype: 'tbtext',
+            itemId: 'pageInfo'
+        }, {
+            itemId: 'nextPage',
+            iconCls: Ext.baseCSSPrefix + 'tbar-page-next',
+            disabled: true,
+            handler: function() {
+                me.showPage(me.page + 1);
+            }
+        }, '-', {
+            xtype: 'combobox',
+            itemId: 'zoom',
+            width: 80,
+            editable: false,
+            queryMode: 'local',
+            store: Ext.Array.map(me.zoomLevels, function(zoom) {
+                return [zoom, Math.round(zoom * 100) + '%'];
+            }),
+            value: me.zoom,
+            listeners: {
+                select: function(combo) {
+                    me.setZoom(combo.getValue());
+                }
+            }
+        }, '-', {
+            xtype: 'segmentedbutton',
+            items: [{
+                text: me.portraitText,
+                pressed: me.options.orientation !== 'landscape',
+                handler: function() {
+                    me.setOption('orientation', 'portrait');
+                }
+            }, {
+                text: me.landscapeText,
+                pressed: me.options.orientation === 'landscape',
+                handler: function() {
+                    me.setOption('orientation', 'landscape');
+                }
+            }]
+        }, {
+            xtype: 'checkbox',
+            boxLabel: me.summaryText,
+            hidden: !hasSummary,
+            checked: me.options.showSummary,
+            listeners: {
+                change: function(field, value) {
+                    me.setOption('showSummary', value);
+                }
+            }
+        }, {
+            xtype: 'checkbox',
+            boxLabel: me.criteriaText,
+            checked: me.options.showCriteria,
+            listeners: {
+                change: function(field, value) {
+                    me.setOption('showCriteria', value);
+                }
+            }
+        }];
+
+        me.items = [{
+            xtype: 'component',
+            itemId: 'frame',
+            autoEl: {
+                tag: 'iframe',
+                src: 'about:blank',
+                frameborder: 0
+            },
+            listeners: {
+                afterrender: me.onFrameRender,
+                scope: me
+            }
+        }];
+
+        me.callParent(arguments);
+        me.on('close', me.onPreviewClose, me);
+    },
+
+    /**
+     * Returns the window of the iframe.
+     * @returns {Window}
+     */
+    getPrintWindow: function() {
+        return this.down('#frame').el.dom.contentWindow;
+    },
+
+    onFrameRender: function(frame) {
+        frame.el.on('load', this.onDocumentLoad, this);
+        this.writeDocument(this.html);
+    },
+
+    /**
+     * Loads the print document into the iframe from a Blob URL or writes it,
+     * see Ext.ux.grid.Printer#useBlobUrl.
+     * @param {String} html
+     */
+    writeDocument: function(html) {
+        var me = this;
+        var url = me.printer.createDocumentUrl(html);
+        var printDocument;
+
+        me.html = html;
+        me.printer.revokeDocumentUrl(me.url);
+        me.url = url;
+
+        if (url) {
+            me.down('#frame').el.dom.src = url;
+        }
+        else {
+            printDocument = me.getPrintWindow().document;
+            printDocument.open();
+            printDocument.write(html);
+            printDocument.close();
+        }
+    },
+
+    /**
+     * The document finished loading. Loads of the initial empty document are ignored.
+     */
+    onDocumentLoad: function() {
+        var me = this;
+        var printWindow = me.getPrintWindow();
+        var printDocument = printWindow.document;
+        var styleId = Ext.baseCSSPrefix + 'ux-grid-printer-preview-style';
+        var style;
+
+        // the document may be reported twice if the empty document loads late
+        if (!printDocument.body || !printDocument.body.firstChild || printDocument.getElementById(styleId)) {
+            return;
+        }
+
+        // zoom and the hidden links only apply to the preview, not to the printed pages
+        style = printDocument.createElement('style');
+        style.id = styleId;
+        printDocument.getElementsByTagName('head')[0].appendChild(style);
+        me.updateZoomStyle();
+
+        // writing the document removed the listeners of the window
+        if ('onafterprint' in printWindow) {
+            printWindow.addEventListener('afterprint', function() {
+                me.onAfterPrint();
+            });
+        }
+
+        me.pageCount = Math.max(Math.ceil(printDocument.documentElement.scrollHeight / me.zoom / me.getPageHeight()), 1);
+        me.showPage(Math.min(me.page, me.pageCount));
+        me.fireEvent('documentReady', me, printWindow);
+    },
+
+    /**
+     * Sets the zoom of the preview.
+     * @param {Number} zoom 1 for 100%
+     */
+    setZoom: function(zoom) {
+        this.zoom = zoom;
+        this.updateZoomStyle();
+        this.showPage(this.page);
+    },
+
+    updateZoomStyle: function() {
+        var style = this.getPrintWindow().document.getElementById(Ext.baseCSSPrefix + 'ux-grid-printer-preview-style');
+
+        if (style) {
+            style.innerHTML = '@media screen { ' +
+                'body { zoom: ' + this.zoom + '; } ' +
+                '.' + Ext.baseCSSPrefix + 'ux-grid-printer-links { display: none; } ' +
+                '}';
+        }
+    },
+
+    /**
+     * Scrolls the preview to a page.
+     * @param {Number} page one based page number
+     */
+    showPage: function(page) {
+        var me = this;
+
+        me.page = Ext.Number.constrain(page, 1, me.pageCount);
+        me.getPrintWindow().scrollTo(0, (me.page - 1) * me.getPageHeight() * me.zoom);
+
+        me.down('#prevPage').setDisabled(me.page <= 1);
+        me.down('#nextPage').setDisabled(me.page >= me.pageCount);
+        me.down('#pageInfo').setText(Ext.String.format(me.pageText, me.page, me.pageCount));
+    },
+
+    /**
+     * Returns the printable height of a page with the orientation of the preview.
+     * @returns {Number}
+     */
+    getPageHeight: function() {
+        var me = this;
+        var height;
+
+        me.printer.withConfig(me.options, function() {
+            height = this.getPrintableSize().height;
+        });
+        return height;
+    },
+
+    /**
+     * Changes an option of the preview and regenerates the previewed document.
+     * @param {String} name orientation, showSummary or showCriteria
+     * @param {Object} value
+     */
+    setOption: function(name, value) {
+        this.options[name] = value;
+        this.refresh();
+    },
+
+    /**
+     * Regenerates the previewed document with the options of the preview.
+     */
+    refresh: function() {
+        this.writeDocument(this.generate(this.options));
+    },
+
+    /**
+     * Prints the previewed document.
+     */
+    printDocument: function() {
+        var printWindow = this.getPrintWindow();
+
+        this.printing = true;
+        printWindow.focus();
+        printWindow.print();
+
+        if (!('onafterprint' in printWindow)) {
+            // print() blocks until the dialog is closed in browsers without afterprint
+            this.onAfterPrint();
+        }
+    },
+
+    onAfterPrint: function() {
+        // afterprint of prints not started by the print button is ignored
+        if (!this.printing) {
+            return;
+        }
+
+        this.printing = false;
+        this.printed = true;
+        this.fireEvent('printed', this, this.getPrintWindow());
+    },
+
+    onPreviewClose: function() {
+        this.printer.revokeDocumentUrl(this.url);
+        this.url = null;
+
+        if (!this.printed) {
+            this.fireEvent('cancel', this);
+        }
+    }
+});
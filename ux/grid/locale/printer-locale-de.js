@@ -0,0 +1,81 @@
+/**
+ * German texts of the grid printer. Include this file after the printer classes, or add its
+ * overrides to the locale package of your application, e.g. next to ext-locale-de.js.
+ */
+Ext.define('Ext.locale.de.ux.grid.Printer', {
+    override: 'Ext.ux.grid.Printer',
+
+    config: {
+        pageTitle: 'Druckansicht',
+        printLinkText: 'Drucken',
+        closeLinkText: 'Schließen',
+        rowNumbererText: 'Zeile',
+        bandCaptionText: 'Spalten {0}&ndash;{1} von {2}',
+        treeSubtotalText: 'Summe {0}',
+        printDateFormat: 'd.m.Y H:i',
+        pageNumberText: 'Seite {0} von {1}',
+        maxRecordsTitle: 'Großer Ausdruck',
+        maxRecordsText: 'Der Ausdruck enthält {0} Datensätze. Nur die ersten {1} Datensätze drucken?',
+        filterText: 'Gefiltert nach:',
+        sortText: 'Sortiert nach:',
+        sortAscText: 'aufsteigend',
+        sortDescText: 'absteigend',
+        operatorTexts: {
+            '<': '&lt;',
+            '<=': '&lt;=',
+            '=': '=',
+            '==': '=',
+            '===': '=',
+            '>=': '&gt;=',
+            '>': '&gt;',
+            '!=': '&ne;',
+            '!==': '&ne;',
+            lt: '&lt;',
+            le: '&lt;=',
+            eq: '=',
+            ge: '&gt;=',
+            gt: '&gt;',
+            ne: '&ne;',
+            like: 'enthält',
+            'in': 'in',
+            notin: 'nicht in'
+        }
+    }
+});
+
+Ext.define('Ext.locale.de.ux.grid.PrinterPlugin', {
+    override: 'Ext.ux.grid.PrinterPlugin',
+
+    config: {
+        buttonText: 'Drucken'
+    }
+});
+
+Ext.define('Ext.locale.de.ux.grid.PrinterDialog', {
+    override: 'Ext.ux.grid.PrinterDialog',
+
+    title: 'Druckoptionen',
+    mainTitleText: 'Titel',
+    recordsText: 'Datensätze',
+    allRecordsText: 'Alle Datensätze',
+    selectionText: 'Ausgewählte Datensätze',
+    orientationText: 'Ausrichtung',
+    portraitText: 'Hochformat',
+    landscapeText: 'Querformat',
+    summaryText: 'Summen drucken',
+    columnsText: 'Spalten (zum Sortieren ziehen)',
+    printText: 'Drucken',
+    cancelText: 'Abbrechen'
+});
+
+Ext.define('Ext.locale.de.ux.grid.PrinterPreview', {
+    override: 'Ext.ux.grid.PrinterPreview',
+
+    title: 'Druckvorschau',
+    printText: 'Drucken',
+    pageText: 'Seite {0} von {1}',
+    portraitText: 'Hochformat',
+    landscapeText: 'Querformat',
+    summaryText: 'Summen',
+    criteriaText: 'Filter und Sortierung'
+});
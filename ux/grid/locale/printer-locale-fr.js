@@ -0,0 +1,81 @@
+/**
+ * French texts of the grid printer. Include this file after the printer classes, or add its
+ * overrides to the locale package of your application, e.g. next to ext-locale-fr.js.
+ */
+Ext.define('Ext.locale.fr.ux.grid.Printer', {
+    override: 'Ext.ux.grid.Printer',
+
+    config: {
+        pageTitle: 'Aperçu avant impression',
+        printLinkText: 'Imprimer',
+        closeLinkText: 'Fermer',
+        rowNumbererText: 'Ligne',
+        bandCaptionText: 'Colonnes {0}&ndash;{1} sur {2}',
+        treeSubtotalText: 'Total {0}',
+        printDateFormat: 'd/m/Y H:i',
+        pageNumberText: 'Page {0} sur {1}',
+        maxRecordsTitle: 'Impression volumineuse',
+        maxRecordsText: 'L\'impression contient {0} enregistrements. N\'imprimer que les {1} premiers enregistrements ?',
+        filterText: 'Filtré par :',
+        sortText: 'Trié par :',
+        sortAscText: 'croissant',
+        sortDescText: 'décroissant',
+        operatorTexts: {
+            '<': '&lt;',
+            '<=': '&lt;=',
+            '=': '=',
+            '==': '=',
+            '===': '=',
+            '>=': '&gt;=',
+            '>': '&gt;',
+            '!=': '&ne;',
+            '!==': '&ne;',
+            lt: '&lt;',
+            le: '&lt;=',
+            eq: '=',
+            ge: '&gt;=',
+            gt: '&gt;',
+            ne: '&ne;',
+            like: 'contient',
+            'in': 'dans',
+            notin: 'pas dans'
+        }
+    }
+});
+
+Ext.define('Ext.locale.fr.ux.grid.PrinterPlugin', {
+    override: 'Ext.ux.grid.PrinterPlugin',
+
+    config: {
+        buttonText: 'Imprimer'
+    }
+});
+
+Ext.define('Ext.locale.fr.ux.grid.PrinterDialog', {
+    override: 'Ext.ux.grid.PrinterDialog',
+
+    title: 'Options d\'impression',
+    mainTitleText: 'Titre',
+    recordsText: 'Enregistrements',
+    allRecordsText: 'Tous les enregistrements',
+    selectionText: 'Enregistrements sélectionnés',
+    orientationText: 'Orientation',
+    portraitText: 'Portrait',
+    landscapeText: 'Paysage',
+    summaryText: 'Imprimer les totaux',
+    columnsText: 'Colonnes (glisser pour réordonner)',
+    printText: 'Imprimer',
+    cancelText: 'Annuler'
+});
+
+Ext.define('Ext.locale.fr.ux.grid.PrinterPreview', {
+    override: 'Ext.ux.grid.PrinterPreview',
+
+    title: 'Aperçu avant impression',
+    printText: 'Imprimer',
+    pageText: 'Page {0} sur {1}',
+    portraitText: 'Portrait',
+    landscapeText: 'Paysage',
+    summaryText: 'Totaux',
+    criteriaText: 'Filtres et tri'
+});